@@ -1,8 +1,9 @@
 import postgres from 'postgres';
 import dotenv from 'dotenv';
+import { logger } from './utils/logger.js';
 dotenv.config();
 
-console.log('Initializing database connection...');
+logger.info('Initializing database connection...');
 
 export const sql = postgres(process.env.DATABASE_URL, {
   ssl: process.env.NODE_ENV === 'production',
@@ -12,31 +13,26 @@ export const sql = postgres(process.env.DATABASE_URL, {
   connection: {
     application_name: 'student-portal'
   },
-  onnotice: () => {},
-  debug: (connection, query, params, types) => {
-    if (process.env.NODE_ENV !== 'production') {
-      console.log('DB Query:', query);
-    }
-  }
-});
-
-sql.on('error', (err) => {
-  console.error('Unexpected error on idle client', err);
-  process.exit(-1);
+  onnotice: () => {}
 });
 
-console.log('Database pool created');
+logger.info('Database pool created');
 
 export const pool = {
   query: async (text, params = []) => {
+    const startedAt = Date.now();
     try {
       const result = await sql.unsafe(text, params);
+      // Query text only: parameters hold passwords, tokens and personal data
+      logger.debug('db query', { query: text, duration_ms: Date.now() - startedAt, rows: result.length });
       return { rows: result };
     } catch (error) {
-      console.error('Database query error:', error);
-      console.error('Query:', text);
-      console.error('Parameters:', params);
-      console.error('Error details:', error.message);
+      logger.error('Database query error', {
+        query: text,
+        param_count: params.length,
+        duration_ms: Date.now() - startedAt,
+        error
+      });
       throw error;
     }
   }
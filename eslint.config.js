@@ -0,0 +1,20 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  // app/ holds an old code fragment that is not part of the server
+  { ignores: ['node_modules/', 'app/'] },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2023,
+      sourceType: 'module',
+      globals: globals.node
+    },
+    rules: {
+      // Unused catch bindings and handler arguments are common in this codebase;
+      // `const { password, ...rest } = row` is how fields are dropped
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  }
+];
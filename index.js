@@ -6,77 +6,191 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { createClient } from '@supabase/supabase-js';
 import { serveStatic } from '@hono/node-server/serve-static';
-import { validator } from 'hono/validator';
+import { requestId } from 'hono/request-id';
 import fs from 'fs/promises';
 import path from 'path';
+import {
+  authorize,
+  signAdminToken,
+  signStudentToken,
+  signAdminTotpChallenge,
+  verifyAdminTotpChallenge,
+  accessTokenTtlSeconds,
+  getClientIp
+} from './utils/auth.js';
+import { permissionsForRole, isAdminRole, ADMIN_ROLES, SUPER_ADMIN } from './utils/permissions.js';
+import {
+  validatePasswordStrength,
+  generateTemporaryPassword,
+  generateResetToken,
+  hashResetToken,
+  DEFAULT_ADMIN_PASSWORD
+} from './utils/passwords.js';
+import { sendMail } from './utils/mailer.js';
+import {
+  SESSION_SUBJECTS,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} from './utils/sessions.js';
+import { createLoginThrottleFromEnv, studentLoginKey, adminLoginKey } from './utils/loginThrottle.js';
+import {
+  generateTotpSecret,
+  totpUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isTotpEnrollmentRequired
+} from './utils/totp.js';
+import { auditTrail, actorFromAuth } from './utils/audit.js';
+import { rateLimitFromEnv } from './utils/rateLimit.js';
+import { loadSecurityConfig, corsOptions, securityHeaders } from './utils/security.js';
+import { AppError, errorEnvelope, handleError, handleNotFound, isProduction } from './utils/errors.js';
+import { captureConsole, logger, requestLogger } from './utils/logger.js';
+import { validateBody, validateJsonOrForm, isFormRequest } from './utils/validation.js';
+import { canonicalPath, resolveStudentByRegistration } from './utils/registrationNumbers.js';
+import { etag, expectedVersion, versionRequired, staleVersion } from './utils/versioning.js';
+import { importStudents, importResultsCsv } from './utils/studentImport.js';
+import { validateExportQuery, exportResponse } from './utils/exports.js';
+import { changeStudentStatus, statusHistory, LOCKED_OUT_STATUSES, READ_ONLY_STATUSES } from './utils/studentStatus.js';
+import { startLeaveScheduler } from './utils/leaveJobs.js';
+import {
+  promotionRules,
+  previewPromotion,
+  promoteCohort,
+  promoteStudent,
+  promotionHistory
+} from './utils/promotions.js';
+import {
+  assertNotGraduated,
+  checkNotGraduated,
+  listProgrammeRequirements,
+  saveProgrammeRequirements,
+  graduationCheck,
+  graduateStudent
+} from './utils/graduation.js';
+import {
+  listChangeRequests,
+  getChangeRequest,
+  submitChangeRequest,
+  approveChangeRequest,
+  rejectChangeRequest,
+  cancelChangeRequest
+} from './utils/profileChangeRequests.js';
+import {
+  listLeaveRequests,
+  getLeaveRequest,
+  checkCanRequestLeave,
+  submitLeaveRequest,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest
+} from './utils/leaveRequests.js';
+import {
+  STUDENT_COLUMNS,
+  STUDENT_SELECT,
+  studentListQuerySchema,
+  studentListQueryCheck,
+  listStudents,
+  nextPageLink
+} from './utils/studentQuery.js';
+import {
+  createStudentSchema,
+  studentIdParamSchema,
+  updateStudentSchema,
+  updateStudentCheck,
+  studentImportSchema,
+  studentImportCheck,
+  promoteStudentSchema,
+  cohortPromotionSchema,
+  cohortPromotionCheck,
+  academicLeaveSchema,
+  academicLeaveByBodySchema,
+  academicLeaveByBodyCheck,
+  checkLeavePeriod,
+  leavePeriod,
+  deregisterSchema,
+  restoreStudentSchema,
+  studentStatusSchema,
+  programmeCourseParamSchema,
+  programmeRequirementsSchema,
+  graduateStudentSchema,
+  LOCKED_PROFILE_FIELDS,
+  updateProfileSchema,
+  updateProfileCheck,
+  profileChangeRequestSchema,
+  profileChangeRequestCheck,
+  profileChangeRequestIdParamSchema,
+  profileChangeRequestListSchema,
+  approveProfileChangeRequestSchema,
+  rejectProfileChangeRequestSchema,
+  bulkDeregisterSchema,
+  bulkDeregisterCheck,
+  leaveRequestSchema,
+  leaveRequestCheck,
+  leaveRequestIdParamSchema,
+  leaveRequestListSchema,
+  approveLeaveRequestSchema,
+  rejectLeaveRequestSchema,
+  photoUploadSchema,
+  documentUploadSchema,
+  feeStatementSchema,
+  feeReceiptSchema,
+  createUnitSchema,
+  registerUnitSchema,
+  allocateUnitsSchema,
+  registerAllocatedUnitSchema,
+  auditLogQuerySchema,
+  auditLogQueryCheck,
+  studentLoginSchema,
+  adminLoginSchema,
+  verifyTotpSchema,
+  verifyTotpCheck,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema
+} from './utils/schemas.js';
 
-const app = new Hono();
-
-// SINGLE CORS configuration
-app.use('*', cors({
-  origin: [
-    'http://localhost:5500', 
-    'http://127.0.0.1:5500', 
-    'http://127.0.0.1:5501',
-    'http://localhost:5501',
-    'https://studentportaladmin.netlify.app',
-    'https://clipscollegestudentportal.netlify.app'
-  ],
-  allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowHeaders: [
-    'Content-Type', 
-    'Authorization', 
-    'Accept',
-    'Origin',
-    'X-Requested-With',
-    'X-Registration-Number',
-    'X-Filename',
-    'X-Name',
-    'X-Course',
-    'X-Level-Of-Study',
-    'X-Email'
-  ],
-  credentials: true,
-  exposeHeaders: ['Content-Length', 'X-Total-Count'],
-  optionsSuccessStatus: 200,
-  maxAge: 86400 // Cache preflight for 24 hours
-}));
-
-// Enhanced request logging middleware
-app.use('*', async (c, next) => {
-  console.log(`[${new Date().toISOString()}] ${c.req.method} ${c.req.path}`);
-  console.log('Origin:', c.req.header('origin'));
-  
-  // Full headers logging for debugging
-  const headers = Object.fromEntries(c.req.raw.headers.entries());
-  console.log('Headers:', headers);
-  
-  // Special handling for content-type to debug multipart form issues
-  if (headers['content-type']) {
-    console.log('Content-Type details:', headers['content-type']);
-    if (headers['content-type'].includes('multipart/form-data')) {
-      console.log('Detected multipart/form-data request');
-      // Check if content-type has proper boundary
-      if (!headers['content-type'].includes('boundary=')) {
-        console.warn('Warning: multipart/form-data missing boundary parameter!');
-      }
-    }
-  }
-  
-  try {
-    await next();
-  } catch (err) {
-    console.error('Global error handler:', err);
-    console.error('Error stack:', err.stack);
-    return c.json({ 
-      error: 'Internal Server Error', 
-      details: err.message,
-      path: c.req.path,
-      method: c.req.method,
-      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
-    }, 500);
-  }
-});
+// Older handlers still log with console.*; write those as redacted JSON log
+// lines too. LOG_CAPTURE_CONSOLE=false leaves the global console alone.
+if (process.env.LOG_CAPTURE_CONSOLE !== 'false') {
+  captureConsole();
+}
+
+// Slashed registration numbers are routed as one path segment (see utils/registrationNumbers.js)
+const app = new Hono({ getPath: canonicalPath });
+
+// Every request gets an id, returned in X-Request-Id
+app.use('*', requestId());
+
+// One structured log line per request; the request id follows every log and
+// database query made while it is handled (see utils/logger.js)
+app.use('*', requestLogger());
+
+// Errors share one response envelope with a code and the request id (see utils/errors.js)
+app.use('*', errorEnvelope());
+app.onError(handleError);
+app.notFound(handleNotFound);
+
+// CORS and security headers, configured from the environment (see utils/security.js)
+const securityConfig = loadSecurityConfig();
+app.use('*', cors(corsOptions(securityConfig)));
+app.use('*', securityHeaders(securityConfig));
+
+// Per-client request budgets for auth, upload, read and write routes (see utils/rateLimit.js)
+app.use('*', rateLimitFromEnv());
+
+// Role-based authorization for every route (see utils/routeAccess.js)
+app.use('*', authorize());
+
+// Record who changed what on every successful mutation (see utils/audit.js)
+app.use('*', auditTrail());
+
+// Check the registration number and load the student for every registration route
+app.use('/students/registration/*', resolveStudentByRegistration());
+app.use('/student/registration/*', resolveStudentByRegistration());
 
 // Serve static files from the public directory
 app.use('/test', serveStatic({ root: './public' }));
@@ -167,7 +281,7 @@ async function uploadFileToSupabase(file, folder, prefix = '') {
   
   console.log(`Uploading ${fileName} to ${folder} folder in student-documents bucket...`);
   
-  const { data, error } = await supabase.storage
+  const { error } = await supabase.storage
     .from('student-documents')
     .upload(uploadPath, fileData, { contentType: fileType });
     
@@ -188,8 +302,8 @@ async function uploadFileToSupabase(file, folder, prefix = '') {
   };
 }
 
-// Get all students
-app.get('/students', async (c) => {
+// List and search students; paginated, see utils/studentQuery.js for the query parameters
+app.get('/students', validateBody(studentListQuerySchema, { target: 'query', check: studentListQueryCheck }), async (c) => {
   try {
     console.log('Fetching students');
     
@@ -205,19 +319,13 @@ app.get('/students', async (c) => {
       }, 503); // Service Unavailable
     }
     
-    const status = c.req.query('status');
-    let query = 'SELECT * FROM students';
-    let params = [];
-    
-    // If status query parameter is provided, filter by status
-    if (status) {
-      query += ' WHERE status = $1';
-      params.push(status);
-    }
+    const page = await listStudents(c.req.valid('query'));
+    c.header('X-Total-Count', String(page.total));
+    const link = nextPageLink(c.req.url, page);
+    if (link) c.header('Link', link);
     
-    const { rows } = await pool.query(query, params);
-    console.log(`Successfully fetched ${rows.length} students`);
-    return c.json(rows);
+    logger.debug('Fetched students', { count: page.rows.length, total: page.total });
+    return c.json(page.rows);
   } catch (error) {
     console.error('Error fetching students:', error);
     return c.json({ 
@@ -231,9 +339,9 @@ app.get('/students', async (c) => {
 // Get students by status
 app.get('/students/status/:statusType', async (c) => {
   try {
-    const statusType = c.req.param('statusType'); // 'active', 'deregistered', or 'on_leave'
+    const statusType = c.req.param('statusType'); // one of STUDENT_STATUSES (utils/studentStatus.js)
     const { rows } = await pool.query(
-      'SELECT * FROM students WHERE status = $1',
+      `SELECT ${STUDENT_SELECT} FROM students WHERE status = $1 AND deleted_at IS NULL ORDER BY name`,
       [statusType]
     );
     return c.json(rows);
@@ -243,151 +351,176 @@ app.get('/students/status/:statusType', async (c) => {
   }
 });
 
-// Create new student
-app.post('/students', async (c) => {
+// Get a student by id; the ETag header carries the version PATCH expects back
+app.get('/students/:id', validateBody(studentIdParamSchema, { target: 'param' }), async (c) => {
+  const { id } = c.req.valid('param');
+  const { rows } = await pool.query(
+    `SELECT ${STUDENT_SELECT} FROM students WHERE id = $1 AND deleted_at IS NULL`,
+    [id]
+  );
+  if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+  
+  c.header('ETag', etag(rows[0].version));
+  return c.json(rows[0]);
+});
+
+// Update some of a student's details. The client sends back the version it
+// read (If-Match or `version`); see utils/versioning.js
+app.patch('/students/:id', validateBody(studentIdParamSchema, { target: 'param' }), validateBody(updateStudentSchema, { check: updateStudentCheck }), async (c) => {
   try {
-    console.log('Creating new student');
-    let studentData = {};
-    let photoUrl = null;
+    const { id } = c.req.valid('param');
+    const { version: bodyVersion, ...changes } = c.req.valid('json');
+    const version = expectedVersion(c, bodyVersion);
+    if (version === null) return versionRequired(c);
     
-    // Check content type to determine how to parse the request
-    const contentType = c.req.header('content-type') || '';
+    const { rows: existingRows } = await pool.query(
+      'SELECT id, registration_number, email, version FROM students WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+    if (existingRows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    const current = existingRows[0];
+    if (current.version !== version) return staleVersion(c, current.version);
     
-    if (contentType.includes('multipart/form-data')) {
-      // Handle multipart form data (with file upload)
-      console.log('Processing multipart form data for student creation');
-        try {
-        const formData = await c.req.formData();
-        
-        // Extract student data from form first (without using it yet)
-        const tempStudentData = {
-          name: formData.get('name')?.toString(),
-          registration_number: formData.get('registration_number')?.toString(),
-          course: formData.get('course')?.toString(),
-          level_of_study: formData.get('level_of_study')?.toString(),
-          national_id: formData.get('national_id')?.toString() || null,
-          birth_certificate: formData.get('birth_certificate')?.toString() || null,
-          date_of_birth: formData.get('date_of_birth')?.toString() || null,
-          password: formData.get('password')?.toString() || null,
-          email: formData.get('email')?.toString() || null
-        };
-        
-        // Validate required fields early
-        if (!tempStudentData.name || !tempStudentData.registration_number || !tempStudentData.course || !tempStudentData.level_of_study) {
-          return c.json({ 
-            error: 'Missing required fields', 
-            details: 'Name, registration number, course, and level of study are required' 
-          }, 400);
-        }
-        
-        // Handle photo upload FIRST if present
-        const photoFile = formData.get('photo');
-        if (photoFile && photoFile instanceof File && photoFile.size > 0) {
-          console.log('Processing photo upload:', photoFile.name, photoFile.size);
-          
-          // Validate photo file type
-          const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
-          if (!allowedTypes.includes(photoFile.type)) {
-            return c.json({ 
-              error: 'Invalid photo type', 
-              details: 'Photo must be JPEG, JPG, PNG, or GIF format' 
-            }, 400);
-          }
-          
-          // Validate photo file size (max 5MB)
-          if (photoFile.size > 5 * 1024 * 1024) {
-            return c.json({ 
-              error: 'Photo file too large', 
-              details: 'Photo must be less than 5MB' 
-            }, 400);
-          }
-          
-          try {
-            console.log('Uploading student photo to Supabase...');
-            const uploadResult = await uploadFileToSupabase(
-              photoFile,
-              'photos',
-              `student_${tempStudentData.registration_number}`
-            );
-            photoUrl = uploadResult.publicUrl;
-            console.log('Photo uploaded successfully:', photoUrl);
-          } catch (uploadError) {
-            console.error('Photo upload failed:', uploadError.message);
-            return c.json({ 
-              error: 'Photo upload failed', 
-              details: uploadError.message 
-            }, 500);
-          }
-        }
-        
-        // Now assign the validated student data
-        studentData = tempStudentData;
-        
-      } catch (formError) {
-        console.error('Error parsing form data:', formError);
+    // Soft-deleted students keep their registration numbers, so check all rows
+    const renamed = changes.registration_number && changes.registration_number !== current.registration_number;
+    if (renamed) {
+      const { rows } = await pool.query(
+        'SELECT id FROM students WHERE registration_number = $1 AND id <> $2',
+        [changes.registration_number, id]
+      );
+      if (rows.length > 0) {
         return c.json({ 
-          error: 'Invalid form data', 
-          details: formError.message 
-        }, 400);
+          error: 'Registration number already in use', 
+          details: `A student with registration number '${changes.registration_number}' already exists` 
+        }, 409);
       }
-    } else {
-      // Handle JSON request
-      console.log('Processing JSON data for student creation');
-      
-      try {
-        studentData = await c.req.json();
-      } catch (jsonError) {
-        console.error('Error parsing JSON:', jsonError);
+    }
+    
+    if (changes.email && changes.email.toLowerCase() !== (current.email || '').toLowerCase()) {
+      const { rows } = await pool.query(
+        'SELECT id FROM students WHERE lower(email) = lower($1) AND id <> $2 AND deleted_at IS NULL',
+        [changes.email, id]
+      );
+      if (rows.length > 0) {
         return c.json({ 
-          error: 'Invalid JSON data', 
-          details: jsonError.message 
-        }, 400);
+          error: 'Email already in use', 
+          details: 'Another student already has this email address' 
+        }, 409);
       }
     }
     
-    // Validate required fields
-    if (!studentData.name || !studentData.registration_number || !studentData.course || !studentData.level_of_study) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'Name, registration number, course, and level of study are required' 
-      }, 400);
+    const student = await sql.begin(async (txSql) => {
+      const [updated] = await txSql`
+        UPDATE students SET ${txSql(changes, Object.keys(changes))}
+        WHERE id = ${id} AND version = ${version} AND deleted_at IS NULL
+        RETURNING ${txSql(STUDENT_COLUMNS)}
+      `;
+      // Documents are filed under the registration number
+      if (updated && renamed) {
+        await txSql`
+          UPDATE student_documents SET registration_number = ${updated.registration_number} 
+          WHERE registration_number = ${current.registration_number}
+        `;
+      }
+      return updated;
+    });
+    
+    // Someone else saved between the version check and the update
+    if (!student) {
+      const { rows } = await pool.query('SELECT version FROM students WHERE id = $1 AND deleted_at IS NULL', [id]);
+      return rows.length > 0 ? staleVersion(c, rows[0].version) : c.json({ error: 'Student not found' }, 404);
     }
-      console.log('Student data received:', {
-      ...studentData,
-      password: studentData.password ? '[PROVIDED]' : '[NOT PROVIDED]'
+    
+    c.header('ETag', etag(student.version));
+    return c.json({ 
+      message: 'Student updated successfully', 
+      student 
     });
+  } catch (error) {
+    if (error.code === '23505') {
+      return c.json({ 
+        error: 'Registration number already in use', 
+        details: 'Another student already has this registration number' 
+      }, 409);
+    }
+    throw error;
+  }
+});
+
+// Soft-delete a student: hidden from listings, lookups and login, and logged
+// out everywhere, while fees, results, allocated units and documents stay.
+// If-Match is optional here.
+app.delete('/students/:id', validateBody(studentIdParamSchema, { target: 'param' }), async (c) => {
+  const { id } = c.req.valid('param');
+  const version = expectedVersion(c);
+  
+  const { rows } = await pool.query(
+    `UPDATE students SET deleted_at = now(), deleted_by = $2 
+    WHERE id = $1 AND deleted_at IS NULL AND ($3::integer IS NULL OR version = $3) 
+    RETURNING id, registration_number, deleted_at`,
+    [id, c.get('auth')?.admin_id || null, version]
+  );
+  
+  if (rows.length === 0) {
+    const { rows: existingRows } = await pool.query(
+      'SELECT version FROM students WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+    return existingRows.length > 0
+      ? staleVersion(c, existingRows[0].version)
+      : c.json({ error: 'Student not found' }, 404);
+  }
+  
+  await revokeAllSessions(SESSION_SUBJECTS.STUDENT, id, 'deleted');
+  
+  return c.json({ 
+    message: 'Student deleted', 
+    student: rows[0] 
+  });
+});
+
+// Create new student
+app.post('/students', validateJsonOrForm(createStudentSchema), async (c) => {
+  try {
+    console.log('Creating new student');
+    const studentData = c.req.valid(isFormRequest(c) ? 'form' : 'json');
+    let photoUrl = null;
     
-    // Hash password if provided
-    let hashedPassword = null;
-    if (studentData.password) {
-      try {
-        hashedPassword = await bcrypt.hash(studentData.password, 10);
-      } catch (hashError) {
-        console.error('Error hashing password:', hashError);
-        return c.json({ 
-          error: 'Password processing failed', 
-          details: hashError.message 
-        }, 500);
-      }
+    // Multipart requests may carry a photo; upload it before creating the student
+    if (studentData.photo) {
+      const photoFile = studentData.photo;
+      logger.debug('Uploading student photo', { name: photoFile.name, size: photoFile.size });
+      const uploadResult = await uploadFileToSupabase(
+        photoFile,
+        'photos',
+        `student_${studentData.registration_number}`
+      );
+      photoUrl = uploadResult.publicUrl;
+      logger.debug('Student photo uploaded', { url: photoUrl });
     }
     
-    // Log all values that will be inserted to identify undefined values
+    // The logger redacts the password and identity numbers
+    logger.debug('Student data received', { ...studentData, photo: undefined });
+    
+    // Never default to the national ID: without a password, issue a random
+    // temporary one. Either way the student must change it on first login.
+    const temporaryPassword = studentData.password ? null : generateTemporaryPassword();
+    const hashedPassword = await bcrypt.hash(studentData.password || temporaryPassword, 10);
+    
     const insertValues = [
       studentData.name,
       studentData.registration_number,
       studentData.course,
       studentData.level_of_study,
-      studentData.national_id,
-      studentData.birth_certificate,
-      studentData.date_of_birth,
+      studentData.national_id ?? null,
+      studentData.birth_certificate ?? null,
+      studentData.date_of_birth ?? null,
       hashedPassword,
       photoUrl,
-      studentData.email,
+      studentData.email ?? null,
       'active'
     ];
     
-    console.log('Insert values:', insertValues.map((val, idx) => `$${idx + 1}: ${val === undefined ? 'UNDEFINED' : val === null ? 'NULL' : typeof val === 'string' ? `"${val}"` : val}`));
-    
     // Check if student with this registration number already exists
     try {
       const { rows: existingStudents } = await pool.query(
@@ -421,9 +554,10 @@ app.post('/students', async (c) => {
           password, 
           photo_url,
           email,
-          status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        RETURNING id, name, registration_number, course, level_of_study, national_id, birth_certificate, date_of_birth, photo_url, email, status
+          status,
+          must_change_password
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, true)
+        RETURNING id, name, registration_number, course, level_of_study, national_id, birth_certificate, date_of_birth, photo_url, email, status, must_change_password
       `, insertValues);
       
       const newStudent = rows[0];
@@ -431,7 +565,8 @@ app.post('/students', async (c) => {
       
       return c.json({
         message: 'Student created successfully',
-        student: newStudent
+        student: newStudent,
+        temp_password: temporaryPassword || undefined
       }, 201);
       
     } catch (insertError) {
@@ -461,89 +596,96 @@ app.post('/students', async (c) => {
   }
 });
 
-// Promote students endpoint
-app.post('/students/promote', async (c) => {
-  try {
-    let body;
-    try {
-      body = await c.req.json();
-      console.log('Student promotion request received:', body);
-    } catch (jsonError) {
-      console.error('Error parsing JSON in promotion request:', jsonError);
-      return c.json({
-        error: 'Invalid JSON data',
-        details: 'The request body must be valid JSON'
-      }, 400);
-    }
-    
-    // Only accept registration_number and new_level
-    const registration_number = body.registration_number;
-    const new_level = body.new_level;
-    
-    console.log('Parsed promotion data:', {
-      registration_number,
-      new_level
-    });
-    
-    if (!registration_number) {
-      return c.json({ 
-        error: 'Missing required field', 
-        details: 'Registration number is required. Please provide "registration_number" in your request.'
-      }, 400);
-    }
-    
-    if (!new_level) {
-      return c.json({ 
-        error: 'Missing required field', 
-        details: 'New level of study is required. Please provide "new_level" with the target level of study.' 
-      }, 400);
-    }
-    
-    // Promote by registration number
-    console.log('Promoting student by registration number:', registration_number);
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        level_of_study=$1
-      WHERE registration_number = $2 RETURNING *`,
-      [new_level, registration_number]
-    );
-    
-    if (rows.length === 0) {
-      return c.json({
-        error: 'Student not found',
-        details: `No student found with registration number: ${registration_number}`
-      }, 404);
-    }
-    
-    return c.json({ 
-      message: 'Student promoted successfully', 
-      student: rows[0] 
-    });
-  } catch (error) {
-    console.error('Error promoting students:', error);
+// Bulk import students from a CSV or XLSX file. Dry run unless dry_run=false;
+// format=csv returns the per-row results as a download (see utils/studentImport.js)
+app.post('/students/import', validateBody(studentImportSchema, { target: 'form', check: studentImportCheck }), async (c) => {
+  const { file, mapping, dry_run: dryRun, format } = c.req.valid('form');
+  const result = await importStudents(file, { mapping, dryRun });
+  logger.info('Student import finished', { dry_run: dryRun, ...result.summary });
+  
+  // Nothing is written while any row is invalid
+  const rejected = !dryRun && result.summary.created === 0;
+  const status = rejected ? 422 : (result.summary.created > 0 ? 201 : 200);
+  
+  // Results carry temporary passwords
+  c.header('Cache-Control', 'no-store');
+  
+  if (format === 'csv') {
+    c.header('Content-Type', 'text/csv; charset=utf-8');
+    c.header('Content-Disposition', `attachment; filename="student-import-${dryRun ? 'preview' : 'results'}.csv"`);
+    return c.body(importResultsCsv(result), status);
+  }
+  
+  if (rejected) {
     return c.json({ 
-      error: 'Failed to promote students', 
-      details: error.message 
-    }, 500);
+      error: 'Import has invalid rows', 
+      details: 'No students were imported; fix the rows marked invalid and upload the file again',
+      ...result 
+    }, 422);
   }
+  return c.json(result, status);
+});
+
+// Stream students, fees, allocated units or results as CSV, XLSX or JSON,
+// filtered like GET /students (see utils/exports.js)
+app.get('/exports/:dataset', validateExportQuery(), async (c) => {
+  return exportResponse(c, c.req.param('dataset'), c.req.valid('query'));
+});
+
+// Promote one student, without the cohort checks of POST /students/promotions
+app.post('/students/promote', validateBody(promoteStudentSchema), async (c) => {
+  const { registration_number, new_level } = c.req.valid('json');
+  
+  // Promote by registration number
+  logger.info('Promoting student', { registration_number, new_level });
+  const student = await promoteStudent(registration_number, new_level, {
+    actor: actorFromAuth(c.get('auth'))
+  });
+  
+  return c.json({ 
+    message: 'Student promoted successfully', 
+    student 
+  });
+});
+
+// Promote a cohort (course + level + intake year). Dry run unless
+// dry_run=false; students who do not qualify are held back and reported with
+// the reasons (see utils/promotions.js)
+app.post('/students/promotions', validateBody(cohortPromotionSchema, { check: cohortPromotionCheck }), async (c) => {
+  const { course, level_of_study, intake_year, new_level, dry_run: dryRun, ...options } = c.req.valid('json');
+  const cohort = { course, level_of_study, intake_year };
+  const rules = promotionRules(options);
+  
+  if (dryRun) return c.json(await previewPromotion(cohort, new_level, { rules }));
+  
+  const result = await promoteCohort(cohort, new_level, { rules, actor: actorFromAuth(c.get('auth')) });
+  logger.info('Cohort promotion finished', { cohort, new_level, batch_id: result.batch_id, ...result.summary });
+  return c.json(result, result.summary.promoted > 0 ? 201 : 200);
+});
+
+// Promotions of a student (and cohort promotions they were held back from), newest first
+app.get('/students/:id/promotions', validateBody(studentIdParamSchema, { target: 'param' }), async (c) => {
+  const { id } = c.req.valid('param');
+  const { rows } = await pool.query(
+    'SELECT id, level_of_study FROM students WHERE id = $1 AND deleted_at IS NULL',
+    [id]
+  );
+  if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+  
+  return c.json({ 
+    student_id: id, 
+    level_of_study: rows[0].level_of_study, 
+    promotions: await promotionHistory(id) 
+  });
 });
 
 // Get student by registration number
 app.get('/student/registration/:regNumber', async (c) => {
   try {
-    const registration_number = c.req.param('regNumber');
-    console.log('Fetching student with registration number:', registration_number);
-    
-    const { rows } = await pool.query(
-      'SELECT * FROM students WHERE registration_number = $1',
-      [registration_number]
-    );
-    
-    if (rows.length === 0) {
-      return c.json({ error: 'Student not found' }, 404);
-    }
-    
-    return c.json(rows[0]);
+    // Loaded by resolveStudentByRegistration; `registration` holds the course
+    // code and intake year read from the registration number
+    const { password, ...student } = c.get('student');
+    return c.json({ ...student, registration: c.get('registration') });
   } catch (error) {
     console.error('Error fetching student by registration number:', error);
     return c.json({ error: 'Failed to fetch student', details: error.message }, 500);
@@ -551,73 +693,27 @@ app.get('/student/registration/:regNumber', async (c) => {
 });
 
 // Grant academic leave to a student (accepts JSON body)
-app.post('/students/academic-leave', async (c) => {
+app.post('/students/academic-leave', validateBody(academicLeaveByBodySchema, { check: academicLeaveByBodyCheck }), async (c) => {
   try {
     console.log('Academic leave request received');
-    const body = await c.req.json();
-    console.log('Request body:', body);
-    
-    // Support multiple parameter formats
-    const student_id = body.student_id || body.studentId || body.id;
-    const registration_number = body.registration_number || body.registrationNumber;
-    const start_date = body.start_date || body.startDate || body.from;
-    const end_date = body.end_date || body.endDate || body.to;
-    const reason = body.reason || body.academic_leave_reason || '';
-    
-    if (!student_id && !registration_number) {
-      return c.json({ 
-        error: 'Missing required field', 
-        details: 'Student ID or registration number is required' 
-      }, 400);
-    }
-    
-    // Default dates if not provided
-    const now = new Date();
-    const defaultEndDate = new Date();
-    defaultEndDate.setMonth(defaultEndDate.getMonth() + 3); // Default 3 months
+    const { student_id, registration_number, reason, ...dates } = c.req.valid('json');
+    const { startDate, endDate } = leavePeriod(dates);
     
-    // Format dates properly
-    const formattedStartDate = start_date ? new Date(start_date).toISOString().split('T')[0] : now.toISOString().split('T')[0];
-    const formattedEndDate = end_date ? new Date(end_date).toISOString().split('T')[0] : defaultEndDate.toISOString().split('T')[0];
-    
-    console.log('Processing academic leave with:', { 
-      student_id, 
-      registration_number, 
-      formattedStartDate, 
-      formattedEndDate,
-      reason 
-    });
-    
-    let query, params;
-    
-    if (student_id) {
-      query = `UPDATE students SET 
-        academic_leave=true, 
-        academic_leave_start=$1, 
-        academic_leave_end=$2,
-        academic_leave_reason=$3,
-        status='on_leave'
-      WHERE id=$4 RETURNING *`;
-      params = [formattedStartDate, formattedEndDate, reason, student_id];
-    } else {
-      query = `UPDATE students SET 
-        academic_leave=true, 
-        academic_leave_start=$1, 
-        academic_leave_end=$2,
-        academic_leave_reason=$3,
-        status='on_leave'
-      WHERE registration_number=$4 RETURNING *`;
-      params = [formattedStartDate, formattedEndDate, reason, registration_number];
-    }
+    logger.info('Processing academic leave', { student_id, registration_number, start_date: startDate, end_date: endDate });
     
-    const { rows } = await pool.query(query, params);
+    const { student } = await changeStudentStatus(
+      student_id ? { id: student_id } : { registrationNumber: registration_number },
+      'on_leave',
+      { reason, effectiveFrom: startDate, effectiveTo: endDate, actor: actorFromAuth(c.get('auth')) }
+    );
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
     return c.json({ 
       message: 'Academic leave granted successfully', 
-      student: rows[0] 
+      student 
     });
   } catch (error) {
+    // Unknown student, or a status that cannot go on leave (see utils/studentStatus.js)
+    if (error instanceof AppError) throw error;
     console.error('Error granting academic leave:', error);
     return c.json({ 
       error: 'Failed to grant academic leave', 
@@ -627,48 +723,28 @@ app.post('/students/academic-leave', async (c) => {
 });
 
 // Grant academic leave to a student (simpler URL path version)
-app.post('/students/:id/academic-leave', async (c) => {
+app.post('/students/:id/academic-leave', validateBody(studentIdParamSchema, { target: 'param' }), validateBody(academicLeaveSchema, { check: checkLeavePeriod }), async (c) => {
   try {
     const student_id = c.req.param('id');
     console.log('Academic leave request received for student:', student_id);
     
-    // Get dates and reason from body if provided
-    let start_date, end_date, reason = '';
-    try {
-      const body = await c.req.json();
-      start_date = body.start_date || body.startDate || body.from;
-      end_date = body.end_date || body.endDate || body.to;
-      reason = body.reason || body.academic_leave_reason || '';
-    } catch (e) {
-      // If no body or invalid JSON, use defaults
-    }
-    
-    // Default dates if not provided
-    const now = new Date();
-    const defaultEndDate = new Date();
-    defaultEndDate.setMonth(defaultEndDate.getMonth() + 3); // Default 3 months
-    
-    // Format dates properly
-    const formattedStartDate = start_date ? new Date(start_date).toISOString().split('T')[0] : now.toISOString().split('T')[0];
-    const formattedEndDate = end_date ? new Date(end_date).toISOString().split('T')[0] : defaultEndDate.toISOString().split('T')[0];
+    // Dates default to three months from today (see utils/schemas.js)
+    const { reason, ...dates } = c.req.valid('json');
+    const { startDate, endDate } = leavePeriod(dates);
     
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        academic_leave=true, 
-        academic_leave_start=$1, 
-        academic_leave_end=$2,
-        academic_leave_reason=$3,
-        status='on_leave' 
-      WHERE id=$4 RETURNING *`,
-      [formattedStartDate, formattedEndDate, reason, student_id]
-    );
+    const { student } = await changeStudentStatus({ id: student_id }, 'on_leave', {
+      reason,
+      effectiveFrom: startDate,
+      effectiveTo: endDate,
+      actor: actorFromAuth(c.get('auth'))
+    });
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
     return c.json({ 
       message: 'Academic leave granted successfully', 
-      student: rows[0] 
+      student 
     });
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error granting academic leave:', error);
     return c.json({ 
       error: 'Failed to grant academic leave', 
@@ -678,48 +754,28 @@ app.post('/students/:id/academic-leave', async (c) => {
 });
 
 // Grant academic leave by registration number
-app.post('/students/registration/:regNumber/academic-leave', async (c) => {
+app.post('/students/registration/:regNumber/academic-leave', validateBody(academicLeaveSchema, { check: checkLeavePeriod }), async (c) => {
   try {
-    const registration_number = c.req.param('regNumber');
-    console.log('Academic leave request received for registration number:', registration_number);
-    
-    // Get dates and reason from body if provided
-    let start_date, end_date, reason = '';
-    try {
-      const body = await c.req.json();
-      start_date = body.start_date || body.startDate || body.from;
-      end_date = body.end_date || body.endDate || body.to;
-      reason = body.reason || body.academic_leave_reason || '';
-    } catch (e) {
-      // If no body or invalid JSON, use defaults
-    }
-    
-    // Default dates if not provided
-    const now = new Date();
-    const defaultEndDate = new Date();
-    defaultEndDate.setMonth(defaultEndDate.getMonth() + 3); // Default 3 months
-    
-    // Format dates properly
-    const formattedStartDate = start_date ? new Date(start_date).toISOString().split('T')[0] : now.toISOString().split('T')[0];
-    const formattedEndDate = end_date ? new Date(end_date).toISOString().split('T')[0] : defaultEndDate.toISOString().split('T')[0];
-    
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        academic_leave=true, 
-        academic_leave_start=$1, 
-        academic_leave_end=$2,
-        academic_leave_reason=$3,
-        status='on_leave' 
-      WHERE registration_number=$4 RETURNING *`,
-      [formattedStartDate, formattedEndDate, reason, registration_number]
-    );
+    const { id, registration_number } = c.get('student');
+    logger.info('Academic leave request received', { registration_number });
+    
+    // Dates default to three months from today (see utils/schemas.js)
+    const { reason, ...dates } = c.req.valid('json');
+    const { startDate, endDate } = leavePeriod(dates);
+    
+    const { student } = await changeStudentStatus({ id }, 'on_leave', {
+      reason,
+      effectiveFrom: startDate,
+      effectiveTo: endDate,
+      actor: actorFromAuth(c.get('auth'))
+    });
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
     return c.json({ 
       message: 'Academic leave granted successfully', 
-      student: rows[0] 
+      student 
     });
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error granting academic leave:', error);
     return c.json({ 
       error: 'Failed to grant academic leave', 
@@ -728,34 +784,96 @@ app.post('/students/registration/:regNumber/academic-leave', async (c) => {
   }
 });
 
-// Deregister a student by registration number (with slash support)
-app.post('/students/registration/:course/:number/:year/deregister', async (c) => {
+// Deregister a student by registration number
+app.post('/students/registration/:regNumber/deregister', validateBody(deregisterSchema), async (c) => {
+  const { id, registration_number } = c.get('student');
+  logger.info('Deregistering student', { registration_number });
+  
+  const { reason } = c.req.valid('json');
+  const { student } = await changeStudentStatus({ id }, 'deregistered', { 
+    reason, 
+    actor: actorFromAuth(c.get('auth')) 
+  });
+  
+  // Log the student out everywhere
+  await revokeAllSessions(SESSION_SUBJECTS.STUDENT, student.id, 'deregistered');
+  
+  return c.json({ 
+    message: 'Student deregistered successfully', 
+    student 
+  });
+});
+
+// Bulk deregister students. Students that cannot be deregistered (not found,
+// already deregistered, graduated...) are listed under `skipped`.
+app.post('/students/deregister', validateBody(bulkDeregisterSchema, { check: bulkDeregisterCheck }), async (c) => {
   try {
-    const course = c.req.param('course');
-    const number = c.req.param('number');
-    const year = c.req.param('year');
-    const registration_number = `${course}/${number}/${year}`;
-    console.log('Deregistering student with registration number:', registration_number);
+    const body = c.req.valid('json');
+    const reason = body.reason;
+    const actor = actorFromAuth(c.get('auth'));
+    console.log('Bulk deregistration request received');
+    
+    const targets = [
+      ...(body.student_ids || []).map((id) => ({ id })),
+      ...(body.registration_numbers || []).map((registrationNumber) => ({ registrationNumber }))
+    ];
+    
+    const results = [];
+    const skipped = [];
+    for (const target of targets) {
+      try {
+        const { student } = await changeStudentStatus(target, 'deregistered', { reason, actor });
+        results.push(student);
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        skipped.push({ 
+          student_id: target.id, 
+          registration_number: target.registrationNumber, 
+          error: error.message 
+        });
+      }
+    }
+    
+    // Log the deregistered students out everywhere
+    for (const student of results) {
+      await revokeAllSessions(SESSION_SUBJECTS.STUDENT, student.id, 'deregistered');
+    }
     
-    // Also keep the original route for backward compatibility
-    return await deregisterStudentByRegNumber(c, registration_number);
+    return c.json({ 
+      message: `${results.length} students deregistered successfully`, 
+      students: results,
+      skipped
+    });
   } catch (error) {
-    console.error('Error deregistering student:', error);
+    console.error('Error deregistering students:', error);
     return c.json({ 
-      error: 'Failed to deregister student', 
+      error: 'Failed to deregister students', 
       details: error.message 
     }, 500);
   }
 });
 
-// Original deregister route for registration numbers without slashes
-app.post('/students/registration/:regNumber/deregister', async (c) => {
+// Deregister a student by ID
+app.post('/students/:id/deregister', validateBody(studentIdParamSchema, { target: 'param' }), validateBody(deregisterSchema), async (c) => {
   try {
-    const registration_number = c.req.param('regNumber');
-    console.log('Deregistering student with registration number:', registration_number);
+    const student_id = c.req.param('id');
+    console.log('Deregistering student:', student_id);
     
-    return await deregisterStudentByRegNumber(c, registration_number);
+    const { reason } = c.req.valid('json');
+    const { student } = await changeStudentStatus({ id: student_id }, 'deregistered', { 
+      reason, 
+      actor: actorFromAuth(c.get('auth')) 
+    });
+    
+    // Log the student out everywhere
+    await revokeAllSessions(SESSION_SUBJECTS.STUDENT, student.id, 'deregistered');
+    
+    return c.json({ 
+      message: 'Student deregistered successfully', 
+      student 
+    });
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error deregistering student:', error);
     return c.json({ 
       error: 'Failed to deregister student', 
@@ -764,156 +882,37 @@ app.post('/students/registration/:regNumber/deregister', async (c) => {
   }
 });
 
-// Helper function to deregister student by registration number
-async function deregisterStudentByRegNumber(c, registration_number) {    
-    // Get reason from body if provided
-    let reason = '';
-    try {
-      const body = await c.req.json();
-      reason = body.reason || body.deregistration_reason || '';
-    } catch (e) {
-      // If no body or invalid JSON, use default empty reason
-    }
+// Clear failed logins and any lockout on a student account
+app.post('/students/:id/unlock-login', validateBody(studentIdParamSchema, { target: 'param' }), async (c) => {
+  const { rows } = await pool.query('SELECT registration_number FROM students WHERE id = $1 AND deleted_at IS NULL', [c.req.valid('param').id]);
+  if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+  
+  await loginThrottle.unlock(studentLoginKey(rows[0].registration_number));
+  return c.json({ 
+    message: 'Student login unlocked', 
+    registration_number: rows[0].registration_number 
+  });
+});
+
+// Restore a deregistered student
+app.post('/students/:id/restore', validateBody(studentIdParamSchema, { target: 'param' }), validateBody(restoreStudentSchema), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    console.log('Restoring deregistered student:', student_id);
     
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        deregistered=true, 
-        deregistration_date=$1, 
-        deregistration_reason=$2,
-        status='deregistered' 
-      WHERE registration_number=$3 RETURNING *`,
-      [today, reason, registration_number]
-    );
-    
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
-    return c.json({ 
-      message: 'Student deregistered successfully', 
-      student: rows[0] 
-    });
-}
-
-// Bulk deregister students
-app.post('/students/deregister', async (c) => {
-  try {
-    const body = await c.req.json();
-    console.log('Bulk deregistration request received');
-    
-    if (!body.student_ids && !body.registration_numbers) {
-      return c.json({ 
-        error: 'Missing required field', 
-        details: 'Student IDs or registration numbers are required' 
-      }, 400);
-    }
-    
-    const reason = body.reason || body.deregistration_reason || '';
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    
-    let results = [];
-    
-    if (body.student_ids && body.student_ids.length > 0) {
-      const { rows } = await pool.query(
-        `UPDATE students SET 
-          deregistered=true, 
-          deregistration_date=$1, 
-          deregistration_reason=$2,
-          status='deregistered' 
-        WHERE id = ANY($3) RETURNING *`,
-        [today, reason, body.student_ids]
-      );
-      results = results.concat(rows);
-    }
-    
-    if (body.registration_numbers && body.registration_numbers.length > 0) {
-      const { rows } = await pool.query(
-        `UPDATE students SET 
-          deregistered=true, 
-          deregistration_date=$1, 
-          deregistration_reason=$2,
-          status='deregistered' 
-        WHERE registration_number = ANY($3) RETURNING *`,
-        [today, reason, body.registration_numbers]
-      );
-      results = results.concat(rows);
-    }
-    
-    return c.json({ 
-      message: `${results.length} students deregistered successfully`, 
-      students: results 
-    });
-  } catch (error) {
-    console.error('Error deregistering students:', error);
-    return c.json({ 
-      error: 'Failed to deregister students', 
-      details: error.message 
-    }, 500);
-  }
-});
-
-// Deregister a student by ID
-app.post('/students/:id/deregister', async (c) => {
-  try {
-    const student_id = c.req.param('id');
-    console.log('Deregistering student:', student_id);
-    
-    // Get reason from body if provided
-    let reason = '';
-    try {
-      const body = await c.req.json();
-      reason = body.reason || body.deregistration_reason || '';
-    } catch (e) {
-      // If no body or invalid JSON, use default empty reason
-    }
-    
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        deregistered=true, 
-        deregistration_date=$1, 
-        deregistration_reason=$2,
-        status='deregistered' 
-      WHERE id=$3 RETURNING *`,
-      [today, reason, student_id]
-    );
-    
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
-    return c.json({ 
-      message: 'Student deregistered successfully', 
-      student: rows[0] 
+    const { reason } = c.req.valid('json');
+    const { student } = await changeStudentStatus({ id: student_id }, 'active', { 
+      reason, 
+      from: ['deregistered'],
+      actor: actorFromAuth(c.get('auth')) 
     });
-  } catch (error) {
-    console.error('Error deregistering student:', error);
-    return c.json({ 
-      error: 'Failed to deregister student', 
-      details: error.message 
-    }, 500);
-  }
-});
-
-// Restore a deregistered student
-app.post('/students/:id/restore', async (c) => {
-  try {
-    const student_id = c.req.param('id');
-    console.log('Restoring deregistered student:', student_id);
-    
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        deregistered=false, 
-        deregistration_date=NULL, 
-        deregistration_reason=NULL,
-        status='active' 
-      WHERE id=$1 RETURNING *`,
-      [student_id]
-    );
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
     return c.json({ 
       message: 'Student restored successfully', 
-      student: rows[0] 
+      student 
     });
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error restoring student:', error);
     return c.json({ 
       error: 'Failed to restore student', 
@@ -923,28 +922,23 @@ app.post('/students/:id/restore', async (c) => {
 });
 
 // Cancel academic leave for a student
-app.delete('/students/:id/academic-leave', async (c) => {
+app.delete('/students/:id/academic-leave', validateBody(studentIdParamSchema, { target: 'param' }), async (c) => {
   try {
     const student_id = c.req.param('id');
     console.log('Canceling academic leave for student:', student_id);
     
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        academic_leave=false, 
-        academic_leave_start=NULL, 
-        academic_leave_end=NULL,
-        academic_leave_reason=NULL,
-        status='active' 
-      WHERE id=$1 RETURNING *`,
-      [student_id]
-    );
+    const { student } = await changeStudentStatus({ id: student_id }, 'active', { 
+      reason: 'Academic leave cancelled', 
+      from: ['on_leave'],
+      actor: actorFromAuth(c.get('auth')) 
+    });
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
     return c.json({ 
       message: 'Academic leave canceled successfully', 
-      student: rows[0] 
+      student 
     });
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error canceling academic leave:', error);
     return c.json({ 
       error: 'Failed to cancel academic leave', 
@@ -952,6 +946,336 @@ app.delete('/students/:id/academic-leave', async (c) => {
     }, 500);  }
 });
 
+// Change a student's status to one without a route of its own (activate an
+// applicant, suspend, reinstate, record a death); see utils/studentStatus.js
+app.post('/students/:id/status', validateBody(studentIdParamSchema, { target: 'param' }), validateBody(studentStatusSchema), async (c) => {
+  const { id } = c.req.valid('param');
+  const { status, reason, effective_date } = c.req.valid('json');
+  
+  const { from, student } = await changeStudentStatus({ id }, status, {
+    reason,
+    effectiveFrom: effective_date,
+    actor: actorFromAuth(c.get('auth'))
+  });
+  
+  if (LOCKED_OUT_STATUSES.includes(status)) {
+    await revokeAllSessions(SESSION_SUBJECTS.STUDENT, id, status);
+  }
+  
+  return c.json({ 
+    message: `Student status changed from ${from} to ${status}`, 
+    student 
+  });
+});
+
+// Status changes of a student, newest first
+app.get('/students/:id/status-history', validateBody(studentIdParamSchema, { target: 'param' }), async (c) => {
+  const { id } = c.req.valid('param');
+  const { rows } = await pool.query(
+    'SELECT id, status FROM students WHERE id = $1 AND deleted_at IS NULL',
+    [id]
+  );
+  if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+  
+  return c.json({ 
+    student_id: id, 
+    status: rows[0].status, 
+    history: await statusHistory(id) 
+  });
+});
+
+// =============================================================================
+// LEAVE REQUESTS (utils/leaveRequests.js)
+// =============================================================================
+
+// Submit an academic leave request from the student portal. Send multipart
+// form data to attach a supporting document.
+app.post('/student/leave-requests', validateJsonOrForm(leaveRequestSchema, { check: leaveRequestCheck }), async (c) => {
+  const { student_id, registration_number } = c.get('auth');
+  const { document, ...details } = c.req.valid(isFormRequest(c) ? 'form' : 'json');
+  
+  // Refuse before uploading anything
+  await checkCanRequestLeave(student_id);
+  
+  // The document is filed with the student's other documents
+  const upload = document 
+    ? (await handleFileUpload(registration_number, document, 'leave-request')).data 
+    : null;
+  const request = await submitLeaveRequest(student_id, { ...details, document: upload });
+  
+  return c.json({ 
+    message: 'Leave request submitted', 
+    request 
+  }, 201);
+});
+
+// The logged-in student's leave requests
+app.get('/student/leave-requests', async (c) => {
+  const { student_id } = c.get('auth');
+  const page = await listLeaveRequests({ studentId: student_id, limit: 200 });
+  return c.json(page.requests);
+});
+
+// Withdraw a pending leave request
+app.post('/student/leave-requests/:id/cancel', validateBody(leaveRequestIdParamSchema, { target: 'param' }), async (c) => {
+  const { id } = c.req.valid('param');
+  const request = await cancelLeaveRequest(id, c.get('auth').student_id);
+  return c.json({ 
+    message: 'Leave request withdrawn', 
+    request 
+  });
+});
+
+// Review queue: pending requests, oldest first, unless `status` says otherwise
+app.get('/leave-requests', validateBody(leaveRequestListSchema, { target: 'query' }), async (c) => {
+  const { status, student_id, limit, offset } = c.req.valid('query');
+  const page = await listLeaveRequests({ 
+    status: status?.length ? status : ['pending'], 
+    studentId: student_id, 
+    limit, 
+    offset 
+  });
+  
+  c.header('X-Total-Count', String(page.total));
+  return c.json(page);
+});
+
+app.get('/leave-requests/:id', validateBody(leaveRequestIdParamSchema, { target: 'param' }), async (c) => {
+  return c.json(await getLeaveRequest(c.req.valid('param').id));
+});
+
+// Approve a leave request: the student goes on leave for the requested dates,
+// from the start date when that is still to come
+app.post('/leave-requests/:id/approve', validateBody(leaveRequestIdParamSchema, { target: 'param' }), validateBody(approveLeaveRequestSchema), async (c) => {
+  const { id } = c.req.valid('param');
+  const { comment } = c.req.valid('json');
+  const { request, student } = await approveLeaveRequest(id, { 
+    comment, 
+    actor: actorFromAuth(c.get('auth')) 
+  });
+  
+  return c.json({ 
+    message: request.started_at 
+      ? 'Leave request approved; academic leave granted' 
+      : `Leave request approved; academic leave starts on ${request.start_date}`, 
+    request, 
+    student 
+  });
+});
+
+// Reject a leave request; the comment is sent to the student
+app.post('/leave-requests/:id/reject', validateBody(leaveRequestIdParamSchema, { target: 'param' }), validateBody(rejectLeaveRequestSchema), async (c) => {
+  const { id } = c.req.valid('param');
+  const { comment } = c.req.valid('json');
+  const request = await rejectLeaveRequest(id, { 
+    comment, 
+    actor: actorFromAuth(c.get('auth')) 
+  });
+  
+  return c.json({ 
+    message: 'Leave request rejected', 
+    request 
+  });
+});
+
+// =============================================================================
+// END LEAVE REQUESTS
+// =============================================================================
+
+// =============================================================================
+// GRADUATION (utils/graduation.js)
+// =============================================================================
+
+// Programme requirements of every course
+app.get('/programme-requirements', async (c) => {
+  return c.json(await listProgrammeRequirements());
+});
+
+// Set what students of a course must complete to graduate (replaces any
+// earlier requirements of the course)
+app.put('/programme-requirements/:course', validateBody(programmeCourseParamSchema, { target: 'param' }), validateBody(programmeRequirementsSchema), async (c) => {
+  const { course } = c.req.valid('param');
+  const { requirements, created } = await saveProgrammeRequirements(course, c.req.valid('json'), {
+    actor: actorFromAuth(c.get('auth'))
+  });
+  
+  return c.json({ 
+    message: created ? 'Programme requirements created' : 'Programme requirements updated', 
+    requirements 
+  }, created ? 201 : 200);
+});
+
+// How a student stands against the requirements of their programme
+app.get('/students/:id/graduation-check', validateBody(studentIdParamSchema, { target: 'param' }), async (c) => {
+  const { id } = c.req.valid('param');
+  return c.json(await graduationCheck(id));
+});
+
+// Graduate a student who meets their programme requirements. Their sessions
+// end; when they log back in the portal is read-only.
+app.post('/students/:id/graduate', validateBody(studentIdParamSchema, { target: 'param' }), validateBody(graduateStudentSchema), async (c) => {
+  const { id } = c.req.valid('param');
+  const { student, checks } = await graduateStudent(id, c.req.valid('json'), {
+    actor: actorFromAuth(c.get('auth'))
+  });
+  
+  await revokeAllSessions(SESSION_SUBJECTS.STUDENT, id, 'graduated');
+  
+  return c.json({ 
+    message: 'Student graduated successfully', 
+    student, 
+    checks 
+  });
+});
+
+// =============================================================================
+// END GRADUATION
+// =============================================================================
+
+// =============================================================================
+// SELF-SERVICE PROFILE (/me, utils/profileChangeRequests.js)
+// =============================================================================
+
+// The logged-in student's record; the ETag header carries the version PATCH /me expects back
+app.get('/me', async (c) => {
+  const { rows } = await pool.query(
+    `SELECT ${STUDENT_SELECT} FROM students WHERE id = $1 AND deleted_at IS NULL`,
+    [c.get('auth').student_id]
+  );
+  if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+  
+  c.header('ETag', etag(rows[0].version));
+  return c.json({ ...rows[0], locked_fields: LOCKED_PROFILE_FIELDS });
+});
+
+// Update the logged-in student's contact details. Name, national ID and course
+// need a change request (POST /me/change-requests).
+app.patch('/me', validateBody(updateProfileSchema, { check: updateProfileCheck }), async (c) => {
+  const id = c.get('auth').student_id;
+  const { version: bodyVersion, ...changes } = c.req.valid('json');
+  const version = expectedVersion(c, bodyVersion);
+  if (version === null) return versionRequired(c);
+  
+  const { rows: existingRows } = await pool.query(
+    'SELECT id, email, version FROM students WHERE id = $1 AND deleted_at IS NULL',
+    [id]
+  );
+  if (existingRows.length === 0) return c.json({ error: 'Student not found' }, 404);
+  const current = existingRows[0];
+  if (current.version !== version) return staleVersion(c, current.version);
+  
+  if (changes.email && changes.email.toLowerCase() !== (current.email || '').toLowerCase()) {
+    const { rows } = await pool.query(
+      'SELECT id FROM students WHERE lower(email) = lower($1) AND id <> $2 AND deleted_at IS NULL',
+      [changes.email, id]
+    );
+    if (rows.length > 0) {
+      return c.json({ 
+        error: 'Email already in use', 
+        details: 'Another student already has this email address' 
+      }, 409);
+    }
+  }
+  
+  const [student] = await sql`
+    UPDATE students SET ${sql(changes, Object.keys(changes))}
+    WHERE id = ${id} AND version = ${version} AND deleted_at IS NULL
+    RETURNING ${sql(STUDENT_COLUMNS)}
+  `;
+  
+  // Someone else saved between the version check and the update
+  if (!student) {
+    const { rows } = await pool.query('SELECT version FROM students WHERE id = $1 AND deleted_at IS NULL', [id]);
+    return rows.length > 0 ? staleVersion(c, rows[0].version) : c.json({ error: 'Student not found' }, 404);
+  }
+  
+  c.header('ETag', etag(student.version));
+  return c.json({ 
+    message: 'Profile updated successfully', 
+    student 
+  });
+});
+
+// Ask the registry to change a locked field (name, national ID, course)
+app.post('/me/change-requests', validateBody(profileChangeRequestSchema, { check: profileChangeRequestCheck }), async (c) => {
+  const { reason, ...changes } = c.req.valid('json');
+  const request = await submitChangeRequest(c.get('auth').student_id, changes, { reason });
+  
+  return c.json({ 
+    message: 'Change request submitted', 
+    request 
+  }, 201);
+});
+
+// The logged-in student's change requests
+app.get('/me/change-requests', async (c) => {
+  const page = await listChangeRequests({ studentId: c.get('auth').student_id, limit: 200 });
+  return c.json(page.requests);
+});
+
+// Withdraw a pending change request
+app.post('/me/change-requests/:id/cancel', validateBody(profileChangeRequestIdParamSchema, { target: 'param' }), async (c) => {
+  const { id } = c.req.valid('param');
+  const request = await cancelChangeRequest(id, c.get('auth').student_id);
+  return c.json({ 
+    message: 'Change request withdrawn', 
+    request 
+  });
+});
+
+// Review queue: pending requests, oldest first, unless `status` says otherwise
+app.get('/profile-change-requests', validateBody(profileChangeRequestListSchema, { target: 'query' }), async (c) => {
+  const { status, student_id, limit, offset } = c.req.valid('query');
+  const page = await listChangeRequests({ 
+    status: status?.length ? status : ['pending'], 
+    studentId: student_id, 
+    limit, 
+    offset 
+  });
+  
+  c.header('X-Total-Count', String(page.total));
+  return c.json(page);
+});
+
+app.get('/profile-change-requests/:id', validateBody(profileChangeRequestIdParamSchema, { target: 'param' }), async (c) => {
+  return c.json(await getChangeRequest(c.req.valid('param').id));
+});
+
+// Approve a change request: the new values are written to the student record
+app.post('/profile-change-requests/:id/approve', validateBody(profileChangeRequestIdParamSchema, { target: 'param' }), validateBody(approveProfileChangeRequestSchema), async (c) => {
+  const { id } = c.req.valid('param');
+  const { comment } = c.req.valid('json');
+  const { request, student } = await approveChangeRequest(id, { 
+    comment, 
+    actor: actorFromAuth(c.get('auth')) 
+  });
+  
+  return c.json({ 
+    message: 'Change request approved; student record updated', 
+    request, 
+    student 
+  });
+});
+
+// Reject a change request; the comment is sent to the student
+app.post('/profile-change-requests/:id/reject', validateBody(profileChangeRequestIdParamSchema, { target: 'param' }), validateBody(rejectProfileChangeRequestSchema), async (c) => {
+  const { id } = c.req.valid('param');
+  const { comment } = c.req.valid('json');
+  const request = await rejectChangeRequest(id, { 
+    comment, 
+    actor: actorFromAuth(c.get('auth')) 
+  });
+  
+  return c.json({ 
+    message: 'Change request rejected', 
+    request 
+  });
+});
+
+// =============================================================================
+// END SELF-SERVICE PROFILE
+// =============================================================================
+
 // Get registered units for a student
 app.get('/students/:id/registered-units', async (c) => {
   try {
@@ -1020,28 +1344,8 @@ app.get('/students/:id/fees', async (c) => {
 // Serve uploaded files from local storage
 app.use('/uploads/*', serveStatic({ root: './uploads' }));
 
-// Validation middleware for file upload
-const fileUploadValidator = validator('form', (value, c) => {
-  const registrationNumber = value['registrationNumber']
-  const file = value['file']
-
-  if (!registrationNumber || typeof registrationNumber !== 'string') {
-    return c.json({ error: 'Registration number is required' }, 400)
-  }
-
-  if (!file || !(file instanceof File)) {
-    return c.json({ error: 'File is required' }, 400)
-  }
-
-  // Validate file size (max 10MB)
-  if (file.size > 10 * 1024 * 1024) {
-    return c.json({ error: 'File size must be less than 10MB' }, 400)
-  }
-  return {
-    registrationNumber: registrationNumber.trim(),
-    file: file
-  }
-})
+// Validation middleware for file upload (registrationNumber and a file up to 10MB)
+const fileUploadValidator = validateBody(documentUploadSchema, { target: 'form' })
 
 // Generic function to handle file upload with fallback to local storage
 async function handleFileUpload(
@@ -1099,7 +1403,7 @@ async function handleFileUpload(
         }
 
         // Upload to Supabase storage
-        const { data: uploadData, error: uploadError } = await supabase.storage
+        const { error: uploadError } = await supabase.storage
           .from('student-documents')
           .upload(fileName, uint8Array, {
             contentType: file.type,
@@ -1349,6 +1653,7 @@ app.post('/fees-structure', async (c) => {
       return c.json({ error: 'File size must be less than 10MB' }, 400)
     }
     
+    await checkNotGraduated({ registrationNumber: registrationNumber.trim() }, 'fee billing')
     const result = await handleFileUpload(registrationNumber.trim(), file, 'fees-structure')
     
     return c.json({
@@ -1356,6 +1661,7 @@ app.post('/fees-structure', async (c) => {
       ...result
     }, 201)
   } catch (error) {
+    if (error instanceof AppError) throw error
     console.error('Fees structure upload error:', error)
     return c.json({
       error: 'Failed to upload fees structure',
@@ -1406,6 +1712,7 @@ app.post('/fees-statement', async (c) => {
       return c.json({ error: 'File size must be less than 10MB' }, 400)
     }
     
+    await checkNotGraduated({ registrationNumber: registrationNumber.trim() }, 'fee billing')
     const result = await handleFileUpload(registrationNumber.trim(), file, 'fees-statement')
     
     return c.json({
@@ -1413,6 +1720,7 @@ app.post('/fees-statement', async (c) => {
       ...result
     }, 201)
   } catch (error) {
+    if (error instanceof AppError) throw error
     console.error('Fees statement upload error:', error)
     return c.json({
       error: 'Failed to upload fees statement',
@@ -1543,7 +1851,6 @@ app.post('/timetable', async (c) => {
     // Get content type for debugging
     const contentType = c.req.header('content-type') || ''
     console.log('Content-Type:', contentType)
-    console.log('Request headers:', Object.fromEntries(c.req.raw.headers.entries()))
     
     let formData
     try {
@@ -1556,7 +1863,6 @@ app.post('/timetable', async (c) => {
       // Try to get the raw body for debugging
       try {
         const rawBody = await c.req.text()
-        console.log('Raw body preview (first 500 chars):', rawBody.substring(0, 500))
         console.log('Raw body type:', typeof rawBody)
         console.log('Raw body length:', rawBody.length)
         
@@ -1651,23 +1957,14 @@ app.post('/timetable', async (c) => {
 })
 
 // Register unit for student endpoint
-app.post('/units/register', async (c) => {
+app.post('/units/register', validateBody(registerUnitSchema), async (c) => {
   try {
-    const body = await c.req.json();
-    console.log('Unit registration request:', body);
-    
-    const { student_reg, unit_name, unit_code, status = 'active' } = body;
-    
-    if (!student_reg || !unit_name || !unit_code) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'Student registration number, unit name, and unit code are required' 
-      }, 400);
-    }
+    const { student_reg, unit_name, unit_code, status } = c.req.valid('json');
+    logger.info('Unit registration request', { student_reg, unit_code });
 
     // First, find the student by registration number
     const { rows: studentRows } = await pool.query(
-      'SELECT id FROM students WHERE registration_number = $1',
+      'SELECT id, status FROM students WHERE registration_number = $1 AND deleted_at IS NULL',
       [student_reg]
     );
     
@@ -1677,6 +1974,7 @@ app.post('/units/register', async (c) => {
         details: 'No student found with the provided registration number' 
       }, 404);
     }
+    assertNotGraduated(studentRows[0], 'unit registration');
     
     const student_id = studentRows[0].id;
 
@@ -1723,6 +2021,7 @@ app.post('/units/register', async (c) => {
       student_registration: student_reg
     });
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error registering unit:', error);
     return c.json({ 
       error: 'Failed to register unit', 
@@ -1891,324 +2190,1126 @@ app.get('/api/health', async (c) => {
     health.status = 'error';
     health.database = {
       status: 'disconnected',
-      error: error.message,
+      error: isProduction() ? undefined : error.message,
       code: error.code || 'UNKNOWN'
     };
     
     return c.json({ 
       ...health,
-      message: 'Database connection failed!',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      message: 'Database connection failed!'
     }, 503);
   }
 });
 
-// Forgot password endpoint
-app.post('/student/auth/forgot-password', async (c) => {
-  try {
-    const { registration_number, email } = await c.req.json();
-    
-    if (!registration_number || !email) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'Registration number and email are required' 
-      }, 400);
-    }
-    
-    // Check if student exists with matching registration number and email
-    const { rows } = await pool.query(
-      'SELECT * FROM students WHERE registration_number = $1 AND email = $2',
-      [registration_number, email]
-    );
-    
-    if (rows.length === 0) {
-      return c.json({ 
-        error: 'Invalid credentials', 
-        details: 'No student found with the provided registration number and email' 
-      }, 404);
-    }
-    
-    // Generate a temporary password
-    const tempPassword = Math.random().toString(36).slice(-8);
-    const hashedPassword = await bcrypt.hash(tempPassword, 10);
-    
-    // Update the student's password
-    await pool.query(
-      'UPDATE students SET password = $1 WHERE id = $2',
-      [hashedPassword, rows[0].id]
-    );
-    
-    // In a real application, you would send an email with the temporary password
-    // For this implementation, we'll just return it in the response
-    return c.json({ 
-      message: 'Password reset successful', 
-      temp_password: tempPassword,
-      note: 'In a production environment, this would be sent via email instead of being returned in the response'
-    });
-  } catch (error) {
-    console.error('Error in forgot password:', error);
-    return c.json({ 
-      error: 'Failed to process password reset', 
-      details: error.message 
-    }, 500);
+// Client details stored with a new session so users can tell devices apart
+function sessionMeta(c) {
+  return {
+    userAgent: c.req.header('user-agent'),
+    ipAddress: getClientIp(c)
+  };
+}
+
+// Failed-login tracking and lockout for both login routes
+const loginThrottle = createLoginThrottleFromEnv();
+
+// What a login attempt is counted against: the account and the client IP
+// (the connection address, or X-Forwarded-For behind TRUSTED_PROXY_HOPS)
+function loginThrottleTarget(c, account) {
+  return { account, ip: getClientIp(c) };
+}
+
+// Answer a throttled login attempt
+function tooManyLoginAttempts(c, blocked) {
+  c.header('Retry-After', String(blocked.retryAfterSeconds));
+  return c.json({ 
+    error: 'Too many login attempts', 
+    details: `Try again in ${blocked.retryAfterSeconds} seconds`,
+    retry_after: blocked.retryAfterSeconds
+  }, 429);
+}
+
+// Student login endpoint
+app.post('/auth/student-login', validateBody(studentLoginSchema), async (c) => {
+  const { registration_number, password } = c.req.valid('json');
+  logger.info('Student login attempt', { registration_number });
+  
+  const throttleTarget = loginThrottleTarget(c, studentLoginKey(registration_number));
+  const blocked = await loginThrottle.check(throttleTarget);
+  if (blocked) {
+    return tooManyLoginAttempts(c, blocked);
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM students WHERE registration_number = $1 AND deleted_at IS NULL',
+    [registration_number]
+  );
+  const student = rows[0];
+  
+  // Passwords are always bcrypt hashes; students without one must reset it
+  const isAuthenticated = student?.password 
+    ? await bcrypt.compare(password, student.password) 
+    : false;
+  
+  if (!isAuthenticated) {
+    await loginThrottle.recordFailure(throttleTarget);
+    return c.json({ error: 'Invalid credentials' }, 401);
+  }
+  
+  // Deregistered and deceased students get the same answer as a wrong password
+  if (LOCKED_OUT_STATUSES.includes(student.status)) {
+    return c.json({ error: 'Invalid credentials' }, 401);
+  }
+  
+  await loginThrottle.recordSuccess(throttleTarget);
+  
+  const { session, refreshToken } = await createSession(SESSION_SUBJECTS.STUDENT, student.id, sessionMeta(c));
+  const token = signStudentToken(student, session.id);
+  
+  return c.json({ 
+    token, 
+    refresh_token: refreshToken,
+    expires_in: accessTokenTtlSeconds(),
+    student_id: student.id,
+    registration_number: student.registration_number,
+    name: student.name,
+    must_change_password: student.must_change_password,
+    read_only: READ_ONLY_STATUSES.includes(student.status)
+  });
+});
+
+// Admin login endpoint
+app.post('/auth/admin-login', validateBody(adminLoginSchema), async (c) => {
+  const { username, password } = c.req.valid('json');
+  logger.info('Admin login attempt', { username });
+  
+  const throttleTarget = loginThrottleTarget(c, adminLoginKey(username));
+  const blocked = await loginThrottle.check(throttleTarget);
+  if (blocked) {
+    return tooManyLoginAttempts(c, blocked);
+  }
+
+  const { rows } = await pool.query('SELECT * FROM admins WHERE username = $1', [username]);
+  const admin = rows[0];
+  
+  // Compare password with hash
+  const isAuthenticated = admin 
+    ? await bcrypt.compare(password, admin.password_hash) 
+    : false;
+  
+  if (!isAuthenticated) {
+    await loginThrottle.recordFailure(throttleTarget);
+    return c.json({ error: 'Invalid credentials' }, 401);
+  }
+  
+  if (admin.disabled) {
+    return c.json({ error: 'Account disabled', details: 'This admin account has been disabled' }, 403);
+  }
+  
+  // Anyone still using the seeded default password has to pick a new one
+  if (password === DEFAULT_ADMIN_PASSWORD && !admin.must_change_password) {
+    await pool.query('UPDATE admins SET must_change_password = true WHERE id = $1', [admin.id]);
+    admin.must_change_password = true;
+  }
+  
+  // With 2FA on, the password only earns a challenge; the failure counter is
+  // cleared once the code has been verified too
+  if (admin.totp_enabled) {
+    return c.json({ 
+      two_factor_required: true, 
+      challenge_token: signAdminTotpChallenge(admin) 
+    });
+  }
+  
+  await loginThrottle.recordSuccess(throttleTarget);
+  return await completeAdminLogin(c, admin);
+});
+
+// Second step of an admin login with 2FA: trade the challenge token and an
+// authenticator (or recovery) code for the usual login response
+app.post('/auth/admin-login/verify-2fa', validateBody(verifyTotpSchema, { check: verifyTotpCheck }), async (c) => {
+  const { challenge_token, code, recovery_code } = c.req.valid('json');
+  
+  const adminId = verifyAdminTotpChallenge(challenge_token);
+  if (!adminId) {
+    return c.json({ error: 'Invalid or expired challenge', details: 'Please log in again' }, 401);
+  }
+  
+  const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [adminId]);
+  const admin = rows[0];
+  if (!admin || admin.disabled || !admin.totp_enabled) {
+    return c.json({ error: 'Invalid or expired challenge', details: 'Please log in again' }, 401);
+  }
+  
+  const throttleTarget = loginThrottleTarget(c, adminLoginKey(admin.username));
+  const blocked = await loginThrottle.check(throttleTarget);
+  if (blocked) {
+    return tooManyLoginAttempts(c, blocked);
+  }
+  
+  let recoveryCodesRemaining;
+  let verified;
+  if (code) {
+    verified = await consumeTotpCode(admin, code);
+  } else {
+    recoveryCodesRemaining = await consumeRecoveryCode(admin.id, recovery_code);
+    verified = recoveryCodesRemaining !== null;
+  }
+  
+  if (!verified) {
+    await loginThrottle.recordFailure(throttleTarget);
+    return c.json({ error: 'Invalid two-factor code' }, 401);
+  }
+  
+  await loginThrottle.recordSuccess(throttleTarget);
+  return await completeAdminLogin(c, admin, { recovery_codes_remaining: recoveryCodesRemaining });
+});
+
+// Start a session for an authenticated admin and build the login response
+async function completeAdminLogin(c, admin, extra = {}) {
+  const { session, refreshToken } = await createSession(SESSION_SUBJECTS.ADMIN, admin.id, sessionMeta(c));
+  const token = signAdminToken(admin, session.id);
+  
+  return c.json({ 
+    token, 
+    refresh_token: refreshToken,
+    expires_in: accessTokenTtlSeconds(),
+    adminId: admin.id,
+    username: admin.username,
+    role: admin.role,
+    permissions: permissionsForRole(admin.role),
+    must_change_password: admin.must_change_password,
+    two_factor_enabled: admin.totp_enabled,
+    must_enroll_2fa: isTotpEnrollmentRequired(admin),
+    ...extra
+  });
+}
+
+// Exchange a refresh token for a new access token and refresh token.
+// The old refresh token stops working; replaying it revokes the session.
+app.post('/auth/refresh', validateBody(refreshTokenSchema), async (c) => {
+  const { refresh_token } = c.req.valid('json');
+  
+  const rotated = await rotateSession(refresh_token);
+  if (!rotated) {
+    return c.json({ error: 'Invalid refresh token', details: 'Please log in again' }, 401);
+  }
+  
+  const { session, refreshToken } = rotated;
+  let token;
+  
+  // Re-read the account so role changes, disabling and deregistration apply
+  if (session.subject_type === SESSION_SUBJECTS.ADMIN) {
+    const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [session.subject_id]);
+    if (rows.length === 0 || rows[0].disabled) {
+      await revokeSession(session.id, 'account_disabled');
+      return c.json({ error: 'Invalid refresh token', details: 'Please log in again' }, 401);
+    }
+    token = signAdminToken(rows[0], session.id);
+  } else {
+    const { rows } = await pool.query('SELECT * FROM students WHERE id = $1 AND deleted_at IS NULL', [session.subject_id]);
+    if (rows.length === 0 || LOCKED_OUT_STATUSES.includes(rows[0].status)) {
+      await revokeSession(session.id, rows[0]?.status || 'deleted');
+      return c.json({ error: 'Invalid refresh token', details: 'Please log in again' }, 401);
+    }
+    token = signStudentToken(rows[0], session.id);
+  }
+  
+  return c.json({ 
+    token, 
+    refresh_token: refreshToken,
+    expires_in: accessTokenTtlSeconds()
+  });
+});
+
+// Log out the current device
+app.post('/auth/logout', async (c) => {
+  const { sid } = c.get('auth');
+  const revoked = sid ? await revokeSession(sid) : 0;
+  
+  return c.json({ message: 'Logged out successfully', revoked_sessions: revoked });
+});
+
+// Log out every device of the current admin or student
+app.post('/auth/logout-all', async (c) => {
+  const auth = c.get('auth');
+  const revoked = auth.role === 'admin'
+    ? await revokeAllSessions(SESSION_SUBJECTS.ADMIN, auth.admin_id)
+    : await revokeAllSessions(SESSION_SUBJECTS.STUDENT, auth.student_id);
+  
+  return c.json({ message: 'Logged out of all devices', revoked_sessions: revoked });
+});
+
+// Admin token verification endpoint
+app.get('/admin/verify-token', async (c) => {
+  try {
+    // Get token from Authorization header
+    const authHeader = c.req.header('authorization');
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return c.json({ error: 'No token provided' }, 401);
+    }
+    
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    
+    // Verify the JWT token
+    const decoded = jwt.verify(token, process.env.SECRET_KEY);
+    
+    // Check if it's an admin token
+    if (decoded.type !== 'admin') {
+      return c.json({ error: 'Invalid token type' }, 401);
+    }
+    
+    // Verify admin still exists in database
+    const { rows } = await pool.query(
+      'SELECT id, username, role, disabled, must_change_password, totp_enabled FROM admins WHERE id = $1',
+      [decoded.admin_id]
+    );
+    
+    if (rows.length === 0) {
+      return c.json({ error: 'Admin not found' }, 401);
+    }
+    
+    if (rows[0].disabled) {
+      return c.json({ error: 'Account disabled' }, 401);
+    }
+    
+    return c.json({ 
+      valid: true,
+      admin: {
+        id: rows[0].id,
+        username: rows[0].username,
+        role: rows[0].role,
+        permissions: permissionsForRole(rows[0].role),
+        must_change_password: rows[0].must_change_password,
+        two_factor_enabled: rows[0].totp_enabled,
+        must_enroll_2fa: isTotpEnrollmentRequired(rows[0])
+      }
+    });
+  } catch (error) {
+    console.error('Token verification error:', error);
+    
+    if (error.name === 'JsonWebTokenError') {
+      return c.json({ error: 'Invalid token' }, 401);
+    } else if (error.name === 'TokenExpiredError') {
+      return c.json({ error: 'Token expired' }, 401);
+    }
+    
+    return c.json({ 
+      error: 'Token verification failed', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// =============================================================================
+// ADMIN USER MANAGEMENT - Super admins create, disable, reset and delete admins
+// =============================================================================
+
+// Columns safe to return to clients (never the password hash)
+const ADMIN_COLUMNS = 'id, username, role, disabled, must_change_password, totp_enabled, created_at, password_changed_at';
+
+// Count enabled super admins other than the given admin
+async function countOtherActiveSuperAdmins(adminId) {
+  const { rows } = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM admins WHERE role = $1 AND disabled = false AND id != $2',
+    [SUPER_ADMIN, adminId]
+  );
+  return rows[0].count;
+}
+
+// Change own admin password (also clears a forced password change)
+app.post('/admin/change-password', async (c) => {
+  const { admin_id, sid } = c.get('auth');
+  const { current_password, new_password } = await c.req.json();
+  
+  if (!current_password || !new_password) {
+    return c.json({ 
+      error: 'Missing required fields', 
+      details: 'Current password and new password are required' 
+    }, 400);
+  }
+  
+  const passwordError = validatePasswordStrength(new_password);
+  if (passwordError) {
+    return c.json({ error: 'Weak password', details: passwordError }, 400);
+  }
+  
+  if (new_password === DEFAULT_ADMIN_PASSWORD || new_password === current_password) {
+    return c.json({ 
+      error: 'Weak password', 
+      details: 'New password must differ from the current and default passwords' 
+    }, 400);
+  }
+  
+  const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [admin_id]);
+  if (rows.length === 0 || rows[0].disabled) {
+    return c.json({ error: 'Admin not found' }, 401);
+  }
+  
+  const isAuthenticated = await bcrypt.compare(current_password, rows[0].password_hash);
+  if (!isAuthenticated) {
+    return c.json({ error: 'Invalid credentials', details: 'Current password is incorrect' }, 401);
+  }
+  
+  const passwordHash = await bcrypt.hash(new_password, 10);
+  const { rows: updatedRows } = await pool.query(
+    `UPDATE admins SET 
+      password_hash = $1, 
+      must_change_password = false, 
+      password_changed_at = now() 
+    WHERE id = $2 RETURNING ${ADMIN_COLUMNS}`,
+    [passwordHash, admin_id]
+  );
+  
+  return c.json({ 
+    message: 'Password changed successfully', 
+    token: signAdminToken(updatedRows[0], sid),
+    admin: updatedRows[0]
+  });
+});
+
+// List all admins
+app.get('/admins', async (c) => {
+  const { rows } = await pool.query(`SELECT ${ADMIN_COLUMNS} FROM admins ORDER BY username`);
+  return c.json(rows);
+});
+
+// Get a single admin
+app.get('/admins/:id', async (c) => {
+  const { rows } = await pool.query(
+    `SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = $1`,
+    [c.req.param('id')]
+  );
+  
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 404);
+  return c.json(rows[0]);
+});
+
+// Create a new admin
+app.post('/admins', async (c) => {
+  try {
+    const body = await c.req.json();
+    const { username, role = SUPER_ADMIN } = body;
+    
+    if (!username) {
+      return c.json({ 
+        error: 'Missing required field', 
+        details: 'Username is required' 
+      }, 400);
+    }
+    
+    if (!isAdminRole(role)) {
+      return c.json({ 
+        error: 'Invalid role', 
+        details: `Role must be one of: ${ADMIN_ROLES.join(', ')}` 
+      }, 400);
+    }
+    
+    // Without an explicit password, hand out a temporary one that must be changed
+    const temporaryPassword = body.password ? null : generateTemporaryPassword();
+    const password = body.password || temporaryPassword;
+    
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) {
+      return c.json({ error: 'Weak password', details: passwordError }, 400);
+    }
+    
+    const passwordHash = await bcrypt.hash(password, 10);
+    const { rows } = await pool.query(
+      `INSERT INTO admins (username, password_hash, role, must_change_password) 
+       VALUES ($1, $2, $3, $4) RETURNING ${ADMIN_COLUMNS}`,
+      [username, passwordHash, role, true]
+    );
+    
+    return c.json({ 
+      message: 'Admin created successfully', 
+      admin: rows[0],
+      temp_password: temporaryPassword || undefined
+    }, 201);
+  } catch (error) {
+    if (error.code === '23505') {
+      return c.json({ 
+        error: 'Admin already exists', 
+        details: 'An admin with this username already exists' 
+      }, 409);
+    }
+    throw error;
+  }
+});
+
+// Update an admin's username or role
+app.patch('/admins/:id', async (c) => {
+  try {
+    const adminId = c.req.param('id');
+    const { username, role } = await c.req.json();
+    
+    if (!username && !role) {
+      return c.json({ 
+        error: 'Missing required field', 
+        details: 'Provide a username or role to update' 
+      }, 400);
+    }
+    
+    if (role && !isAdminRole(role)) {
+      return c.json({ 
+        error: 'Invalid role', 
+        details: `Role must be one of: ${ADMIN_ROLES.join(', ')}` 
+      }, 400);
+    }
+    
+    const { rows: existingRows } = await pool.query('SELECT id, role FROM admins WHERE id = $1', [adminId]);
+    if (existingRows.length === 0) return c.json({ error: 'Admin not found' }, 404);
+    
+    if (role && role !== SUPER_ADMIN && existingRows[0].role === SUPER_ADMIN) {
+      if (adminId === c.get('auth').admin_id) {
+        return c.json({ error: 'Cannot change own role', details: 'Ask another super admin to change your role' }, 409);
+      }
+      if (await countOtherActiveSuperAdmins(adminId) === 0) {
+        return c.json({ error: 'Cannot demote the last super admin' }, 409);
+      }
+    }
+    
+    const { rows } = await pool.query(
+      `UPDATE admins SET 
+        username = COALESCE($1, username), 
+        role = COALESCE($2, role) 
+      WHERE id = $3 RETURNING ${ADMIN_COLUMNS}`,
+      [username || null, role || null, adminId]
+    );
+    
+    // Tokens carry the role, so the old permissions must not outlive the change
+    if (role && role !== existingRows[0].role) {
+      await revokeAllSessions(SESSION_SUBJECTS.ADMIN, adminId, 'role_changed');
+    }
+    
+    return c.json({ 
+      message: 'Admin updated successfully', 
+      admin: rows[0] 
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return c.json({ 
+        error: 'Admin already exists', 
+        details: 'An admin with this username already exists' 
+      }, 409);
+    }
+    throw error;
+  }
+});
+
+// Disable an admin (blocks login and token verification)
+app.post('/admins/:id/disable', async (c) => {
+  const adminId = c.req.param('id');
+  
+  if (adminId === c.get('auth').admin_id) {
+    return c.json({ error: 'Cannot disable own account' }, 409);
+  }
+  
+  const { rows: existingRows } = await pool.query('SELECT id, role FROM admins WHERE id = $1', [adminId]);
+  if (existingRows.length === 0) return c.json({ error: 'Admin not found' }, 404);
+  
+  if (existingRows[0].role === SUPER_ADMIN && await countOtherActiveSuperAdmins(adminId) === 0) {
+    return c.json({ error: 'Cannot disable the last super admin' }, 409);
+  }
+  
+  const { rows } = await pool.query(
+    `UPDATE admins SET disabled = true WHERE id = $1 RETURNING ${ADMIN_COLUMNS}`,
+    [adminId]
+  );
+  
+  await revokeAllSessions(SESSION_SUBJECTS.ADMIN, adminId, 'account_disabled');
+  
+  return c.json({ 
+    message: 'Admin disabled successfully', 
+    admin: rows[0] 
+  });
+});
+
+// Re-enable a disabled admin
+app.post('/admins/:id/enable', async (c) => {
+  const { rows } = await pool.query(
+    `UPDATE admins SET disabled = false WHERE id = $1 RETURNING ${ADMIN_COLUMNS}`,
+    [c.req.param('id')]
+  );
+  
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 404);
+  return c.json({ 
+    message: 'Admin enabled successfully', 
+    admin: rows[0] 
+  });
+});
+
+// Reset another admin's password; they must change it on next login
+app.post('/admins/:id/reset-password', async (c) => {
+  const adminId = c.req.param('id');
+  
+  let newPassword;
+  try {
+    const body = await c.req.json();
+    newPassword = body.new_password;
+  } catch (e) {
+    // If no body or invalid JSON, generate a temporary password
+  }
+  
+  const temporaryPassword = newPassword ? null : generateTemporaryPassword();
+  const password = newPassword || temporaryPassword;
+  
+  const passwordError = validatePasswordStrength(password);
+  if (passwordError) {
+    return c.json({ error: 'Weak password', details: passwordError }, 400);
+  }
+  
+  const passwordHash = await bcrypt.hash(password, 10);
+  const { rows } = await pool.query(
+    `UPDATE admins SET 
+      password_hash = $1, 
+      must_change_password = true, 
+      password_changed_at = now() 
+    WHERE id = $2 RETURNING ${ADMIN_COLUMNS}`,
+    [passwordHash, adminId]
+  );
+  
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 404);
+  
+  await revokeAllSessions(SESSION_SUBJECTS.ADMIN, adminId, 'password_reset');
+  
+  return c.json({ 
+    message: 'Admin password reset successfully', 
+    admin: rows[0],
+    temp_password: temporaryPassword || undefined
+  });
+});
+
+// Clear failed logins and any lockout on an admin account
+app.post('/admins/:id/unlock-login', async (c) => {
+  const { rows } = await pool.query('SELECT username FROM admins WHERE id = $1', [c.req.param('id')]);
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 404);
+  
+  await loginThrottle.unlock(adminLoginKey(rows[0].username));
+  return c.json({ message: 'Admin login unlocked', username: rows[0].username });
+});
+
+// Turn off another admin's 2FA (lost authenticator); they can enrol again
+app.post('/admins/:id/reset-2fa', async (c) => {
+  const adminId = c.req.param('id');
+  
+  if (adminId === c.get('auth').admin_id) {
+    return c.json({ 
+      error: 'Cannot reset own two-factor authentication', 
+      details: 'Use /admin/2fa/disable instead' 
+    }, 409);
+  }
+  
+  const { rows } = await pool.query(
+    `UPDATE admins SET ${TOTP_RESET_COLUMNS} WHERE id = $1 RETURNING ${ADMIN_COLUMNS}`,
+    [adminId]
+  );
+  
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 404);
+  
+  await revokeAllSessions(SESSION_SUBJECTS.ADMIN, adminId, '2fa_reset');
+  
+  return c.json({ 
+    message: 'Two-factor authentication reset successfully', 
+    admin: rows[0] 
+  });
+});
+
+// Delete an admin
+app.delete('/admins/:id', async (c) => {
+  const adminId = c.req.param('id');
+  
+  if (adminId === c.get('auth').admin_id) {
+    return c.json({ error: 'Cannot delete own account' }, 409);
+  }
+  
+  const { rows: existingRows } = await pool.query('SELECT id, role FROM admins WHERE id = $1', [adminId]);
+  if (existingRows.length === 0) return c.json({ error: 'Admin not found' }, 404);
+  
+  if (existingRows[0].role === SUPER_ADMIN && await countOtherActiveSuperAdmins(adminId) === 0) {
+    return c.json({ error: 'Cannot delete the last super admin' }, 409);
+  }
+  
+  let deleted = null;
+  await sql.begin(async (txSql) => {
+    // Keep unit allocations made by this admin, just drop the reference
+    await txSql`UPDATE allocated_units SET allocated_by = NULL WHERE allocated_by = ${adminId}`;
+    
+    const deletedRows = await txSql`
+      DELETE FROM admins WHERE id = ${adminId} 
+      RETURNING id, username, role
+    `;
+    deleted = deletedRows[0];
+  });
+  
+  await revokeAllSessions(SESSION_SUBJECTS.ADMIN, adminId, 'account_deleted');
+  
+  return c.json({ 
+    message: 'Admin deleted successfully', 
+    admin: deleted 
+  });
+});
+
+// =============================================================================
+// END ADMIN USER MANAGEMENT
+// =============================================================================
+
+// =============================================================================
+// ADMIN TWO-FACTOR AUTHENTICATION - TOTP enrolment for the logged-in admin
+// =============================================================================
+
+// SET clause that turns 2FA off and forgets the secret and recovery codes
+const TOTP_RESET_COLUMNS = `totp_enabled = false, totp_secret = NULL, totp_recovery_codes = '{}', 
+  totp_last_used_step = NULL, totp_enabled_at = NULL`;
+
+// Verify an authenticator code and burn its time step so it cannot be replayed
+async function consumeTotpCode(admin, code) {
+  if (!admin.totp_secret) return false;
+  
+  const step = verifyTotp(admin.totp_secret, code, { afterStep: admin.totp_last_used_step });
+  if (step === null) return false;
+  
+  const { rows } = await pool.query(
+    `UPDATE admins SET totp_last_used_step = $2 
+     WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2) 
+     RETURNING id`,
+    [admin.id, step]
+  );
+  return rows.length > 0;
+}
+
+// Use up a recovery code. Returns how many are left, or null if it was not valid.
+async function consumeRecoveryCode(adminId, code) {
+  const { rows } = await pool.query(
+    `UPDATE admins SET totp_recovery_codes = array_remove(totp_recovery_codes, $2) 
+     WHERE id = $1 AND $2 = ANY(totp_recovery_codes) 
+     RETURNING cardinality(totp_recovery_codes) AS remaining`,
+    [adminId, hashRecoveryCode(code)]
+  );
+  return rows.length > 0 ? rows[0].remaining : null;
+}
+
+// Generate a new secret; 2FA stays off until /admin/2fa/enable confirms a code
+app.post('/admin/2fa/setup', async (c) => {
+  const { admin_id } = c.get('auth');
+  
+  const { rows } = await pool.query('SELECT username, totp_enabled FROM admins WHERE id = $1', [admin_id]);
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 401);
+  
+  if (rows[0].totp_enabled) {
+    return c.json({ error: 'Two-factor authentication is already enabled' }, 409);
+  }
+  
+  const secret = generateTotpSecret();
+  await pool.query(
+    'UPDATE admins SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+    [secret, admin_id]
+  );
+  
+  return c.json({ 
+    message: 'Scan the QR code with an authenticator app, then confirm a code at /admin/2fa/enable', 
+    secret, 
+    otpauth_uri: totpUri(secret, rows[0].username) 
+  });
+});
+
+// Confirm the first code, switch 2FA on and hand out recovery codes
+app.post('/admin/2fa/enable', async (c) => {
+  const { admin_id, sid } = c.get('auth');
+  const { code } = await c.req.json();
+  
+  if (!code) {
+    return c.json({ error: 'Missing required field', details: 'Code is required' }, 400);
+  }
+  
+  const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [admin_id]);
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 401);
+  
+  const admin = rows[0];
+  if (admin.totp_enabled) {
+    return c.json({ error: 'Two-factor authentication is already enabled' }, 409);
+  }
+  if (!admin.totp_secret) {
+    return c.json({ error: 'Two-factor setup not started', details: 'Call /admin/2fa/setup first' }, 400);
+  }
+  
+  if (!(await consumeTotpCode(admin, code))) {
+    return c.json({ error: 'Invalid two-factor code' }, 400);
+  }
+  
+  const recovery = generateRecoveryCodes();
+  const { rows: updatedRows } = await pool.query(
+    `UPDATE admins SET 
+      totp_enabled = true, 
+      totp_enabled_at = now(), 
+      totp_recovery_codes = $1 
+    WHERE id = $2 RETURNING ${ADMIN_COLUMNS}`,
+    [recovery.hashes, admin_id]
+  );
+  
+  return c.json({ 
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.', 
+    recovery_codes: recovery.codes,
+    token: signAdminToken(updatedRows[0], sid),
+    admin: updatedRows[0]
+  });
+});
+
+// Switch 2FA off (needs the password and a current code)
+app.post('/admin/2fa/disable', async (c) => {
+  const { admin_id } = c.get('auth');
+  const { password, code } = await c.req.json();
+  
+  if (!password || !code) {
+    return c.json({ 
+      error: 'Missing required fields', 
+      details: 'Password and code are required' 
+    }, 400);
+  }
+  
+  if (process.env.ADMIN_TOTP_REQUIRED === 'true') {
+    return c.json({ error: 'Two-factor authentication is required for all admins' }, 409);
+  }
+  
+  const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [admin_id]);
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 401);
+  
+  const admin = rows[0];
+  if (!admin.totp_enabled) {
+    return c.json({ error: 'Two-factor authentication is not enabled' }, 409);
+  }
+  
+  const passwordValid = await bcrypt.compare(password, admin.password_hash);
+  if (!passwordValid || !(await consumeTotpCode(admin, code))) {
+    return c.json({ error: 'Invalid credentials', details: 'Password or code is incorrect' }, 401);
+  }
+  
+  const { rows: updatedRows } = await pool.query(
+    `UPDATE admins SET ${TOTP_RESET_COLUMNS} WHERE id = $1 RETURNING ${ADMIN_COLUMNS}`,
+    [admin_id]
+  );
+  
+  return c.json({ 
+    message: 'Two-factor authentication disabled', 
+    admin: updatedRows[0] 
+  });
+});
+
+// Replace all recovery codes (needs a current code)
+app.post('/admin/2fa/recovery-codes', async (c) => {
+  const { admin_id } = c.get('auth');
+  const { code } = await c.req.json();
+  
+  if (!code) {
+    return c.json({ error: 'Missing required field', details: 'Code is required' }, 400);
+  }
+  
+  const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [admin_id]);
+  if (rows.length === 0) return c.json({ error: 'Admin not found' }, 401);
+  
+  if (!rows[0].totp_enabled) {
+    return c.json({ error: 'Two-factor authentication is not enabled' }, 409);
   }
+  
+  if (!(await consumeTotpCode(rows[0], code))) {
+    return c.json({ error: 'Invalid two-factor code' }, 400);
+  }
+  
+  const recovery = generateRecoveryCodes();
+  await pool.query('UPDATE admins SET totp_recovery_codes = $1 WHERE id = $2', [recovery.hashes, admin_id]);
+  
+  return c.json({ 
+    message: 'Recovery codes regenerated; the old ones no longer work', 
+    recovery_codes: recovery.codes 
+  });
 });
 
-// Student login endpoint
-app.post('/auth/student-login', async (c) => {
-  try {
-    const body = await c.req.json();
-    console.log('Student login attempt:', { registration_number: body.registration_number });
-    
-    const { registration_number, password } = body;
-    
-    if (!registration_number || !password) {
-      return c.json({ error: 'Registration number and password required' }, 400);
-    }
+// =============================================================================
+// END ADMIN TWO-FACTOR AUTHENTICATION
+// =============================================================================
 
-    const { rows } = await pool.query('SELECT * FROM students WHERE registration_number = $1', [registration_number]);
-    if (rows.length === 0) {
-      return c.json({ error: 'Invalid credentials' }, 401);
-    }
-    
-    const student = rows[0];
-    let isAuthenticated = false;
-    
-    // First try bcrypt compare (for hashed passwords)
-    try {
-      isAuthenticated = await bcrypt.compare(password, student.password);
-    } catch (err) {
-      console.log('bcrypt compare failed, might be plain text password:', err.message);
-      // If bcrypt compare fails, it might be a plain text password
-      isAuthenticated = (password === student.password);
-    }
-    
-    if (!isAuthenticated) {
-      return c.json({ error: 'Invalid credentials' }, 401);
-    }
-    
-    // If login successful with plain text password, update to hashed version
-    if (password === student.password) {
-      console.log('Updating plain text password to hashed version');
-      const hashedPassword = await bcrypt.hash(password, 10);
-      await pool.query(
-        'UPDATE students SET password = $1 WHERE id = $2',
-        [hashedPassword, student.id]
-      );
-    }
-    
-    const token = jwt.sign(
-      { registration_number: student.registration_number, student_id: student.id }, 
-      process.env.SECRET_KEY, 
-      { expiresIn: '2h' }
-    );
-    
+// Browse the audit trail (newest first). Filters: student_id,
+// registration_number, actor_id, actor_type, action (substring), from, to
+// (dates; `to` includes the whole day)
+app.get('/admin/audit-log', validateBody(auditLogQuerySchema, { target: 'query', check: auditLogQueryCheck }), async (c) => {
+  const query = c.req.valid('query');
+  const conditions = [];
+  const params = [];
+  
+  const addCondition = (sqlFragment, value) => {
+    params.push(value);
+    conditions.push(sqlFragment.replace('?', `$${params.length}`));
+  };
+  
+  if (query.student_id) addCondition('target_student_id = ?', query.student_id);
+  if (query.registration_number) addCondition('target_registration_number = ?', query.registration_number);
+  if (query.actor_id) addCondition('actor_id = ?', query.actor_id);
+  if (query.actor_type) addCondition('actor_type = ?', query.actor_type);
+  if (query.action) addCondition(`action ILIKE '%' || ? || '%'`, query.action);
+  if (query.from) addCondition('created_at >= ?', query.from);
+  if (query.to) addCondition('created_at < ?::date + 1', query.to);
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { limit, offset } = query;
+  
+  const { rows: countRows } = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM audit_log ${where}`,
+    params
+  );
+  const { rows } = await pool.query(
+    `SELECT * FROM audit_log ${where} 
+     ORDER BY created_at DESC, id DESC 
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  
+  return c.json({ 
+    entries: rows, 
+    total: countRows[0].total, 
+    limit, 
+    offset 
+  });
+});
+
+// Forgot-password replies take at least this long, so known and unknown
+// students cannot be told apart by the time the lookup and token write take
+const FORGOT_PASSWORD_MIN_RESPONSE_MS = 500;
+
+// Student forgot password endpoint - emails a single-use reset link.
+// Always answers the same way so it cannot be used to discover students.
+app.post('/student/auth/forgot-password', validateBody(forgotPasswordSchema), async (c) => {
+  const startedAt = Date.now();
+  const genericResponse = async () => {
+    const wait = FORGOT_PASSWORD_MIN_RESPONSE_MS - (Date.now() - startedAt);
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
     return c.json({ 
-      token, 
-      student_id: student.id,
-      registration_number: student.registration_number,
-      name: student.name
+      message: 'If the account exists and has an email address, a password reset link has been sent' 
     });
-  } catch (error) {
-    console.error('Student login error:', error);
-    return c.json({ 
-      error: 'Server error during login', 
-      details: error.message,
-      stack: error.stack 
-    }, 500);
+  };
+  
+  const { registration_number, email } = c.req.valid('json');
+  
+  const { rows } = await pool.query(
+    'SELECT id, registration_number, name, email, status FROM students WHERE registration_number = $1 AND deleted_at IS NULL',
+    [registration_number]
+  );
+  
+  const student = rows[0];
+  if (!student || !student.email || LOCKED_OUT_STATUSES.includes(student.status) ||
+      (email && email.toLowerCase() !== student.email.toLowerCase())) {
+    logger.info('Password reset requested for unknown or unreachable student');
+    return genericResponse();
   }
+  
+  const { token, tokenHash } = generateResetToken();
+  const ttlMinutes = Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 30;
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  
+  await sql.begin(async (txSql) => {
+    // Only the newest reset link is valid
+    await txSql`
+      UPDATE password_reset_tokens SET used_at = now() 
+      WHERE student_id = ${student.id} AND used_at IS NULL
+    `;
+    await txSql`
+      INSERT INTO password_reset_tokens (student_id, token_hash, expires_at, requested_ip) 
+      VALUES (${student.id}, ${tokenHash}, ${expiresAt}, ${getClientIp(c)})
+    `;
+  });
+  
+  const resetBaseUrl = process.env.PASSWORD_RESET_URL || 'http://localhost:5501/reset-password.html';
+  const resetLink = `${resetBaseUrl}?token=${token}`;
+  
+  // Not awaited: the mail server's response time, or a failure, would reveal
+  // that the account exists
+  sendMail({
+    to: student.email,
+    subject: 'Student portal password reset',
+    text: `Hello ${student.name},\n\n` +
+      `A password reset was requested for ${student.registration_number}. ` +
+      `Use the link below within ${ttlMinutes} minutes to choose a new password:\n\n${resetLink}\n\n` +
+      'If you did not request this, you can ignore this email.'
+  }).catch((mailError) => {
+    logger.error('Failed to send password reset email', { student_id: student.id, error: mailError });
+  });
+  
+  return genericResponse();
 });
 
-// Admin login endpoint
-app.post('/auth/admin-login', async (c) => {
-  try {
-    const body = await c.req.json();
-    console.log('Admin login attempt:', { username: body.username });
-    
-    const { username, password } = body;
-    
-    if (!username || !password) {
-      return c.json({ error: 'Username and password required' }, 400);
-    }
-
-    const { rows } = await pool.query('SELECT * FROM admins WHERE username = $1', [username]);
-    if (rows.length === 0) {
-      return c.json({ error: 'Invalid credentials' }, 401);
-    }
-    
-    const admin = rows[0];
-    
-    // Compare password with hash
-    const isAuthenticated = await bcrypt.compare(password, admin.password_hash);
-    
-    if (!isAuthenticated) {
-      return c.json({ error: 'Invalid credentials' }, 401);
-    }
-    
-    const token = jwt.sign(
-      { username: admin.username, admin_id: admin.id, type: 'admin' }, 
-      process.env.SECRET_KEY, 
-      { expiresIn: '8h' }
-    );
-      return c.json({ 
-      token, 
-      adminId: admin.id,
-      username: admin.username
-    });
-  } catch (error) {
-    console.error('Admin login error:', error);
+// Student reset password endpoint - consumes the emailed token
+app.post('/student/auth/reset-password', validateBody(resetPasswordSchema), async (c) => {
+  const { token, new_password } = c.req.valid('json');
+  
+  const passwordError = validatePasswordStrength(new_password);
+  if (passwordError) {
+    return c.json({ error: 'Weak password', details: passwordError }, 400);
+  }
+  
+  const hashedPassword = await bcrypt.hash(new_password, 10);
+  let student = null;
+  
+  await sql.begin(async (txSql) => {
+    const tokenRows = await txSql`
+      SELECT id, student_id FROM password_reset_tokens 
+      WHERE token_hash = ${hashResetToken(token)} 
+        AND used_at IS NULL 
+        AND expires_at > now() 
+      FOR UPDATE
+    `;
+    
+    if (tokenRows.length === 0) return;
+    
+    await txSql`UPDATE password_reset_tokens SET used_at = now() WHERE id = ${tokenRows[0].id}`;
+    
+    const studentRows = await txSql`
+      UPDATE students SET password = ${hashedPassword}, must_change_password = false 
+      WHERE id = ${tokenRows[0].student_id} AND deleted_at IS NULL
+        AND status <> ALL(${LOCKED_OUT_STATUSES}::text[])
+      RETURNING id, registration_number
+    `;
+    student = studentRows[0];
+  });
+  
+  if (!student) {
     return c.json({ 
-      error: 'Server error during admin login', 
-      details: error.message
-    }, 500);
+      error: 'Invalid or expired token', 
+      details: 'Request a new password reset link' 
+    }, 400);
   }
+  
+  // Whoever knew the old password is logged out
+  await revokeAllSessions(SESSION_SUBJECTS.STUDENT, student.id, 'password_reset');
+  
+  return c.json({ 
+    message: 'Password reset successful', 
+    registration_number: student.registration_number 
+  });
 });
 
-// Admin token verification endpoint
-app.get('/admin/verify-token', async (c) => {
-  try {
-    // Get token from Authorization header
-    const authHeader = c.req.header('authorization');
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return c.json({ error: 'No token provided' }, 401);
-    }
-    
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    // Verify the JWT token
-    const decoded = jwt.verify(token, process.env.SECRET_KEY);
-    
-    // Check if it's an admin token
-    if (decoded.type !== 'admin') {
-      return c.json({ error: 'Invalid token type' }, 401);
-    }
-    
-    // Verify admin still exists in database
-    const { rows } = await pool.query('SELECT id, username FROM admins WHERE id = $1', [decoded.admin_id]);
-    
-    if (rows.length === 0) {
-      return c.json({ error: 'Admin not found' }, 401);
-    }
-    
-    return c.json({ 
-      valid: true,
-      admin: {
-        id: rows[0].id,
-        username: rows[0].username
-      }
-    });
-  } catch (error) {
-    console.error('Token verification error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return c.json({ error: 'Invalid token' }, 401);
-    } else if (error.name === 'TokenExpiredError') {
-      return c.json({ error: 'Token expired' }, 401);
-    }
-    
+// Student change password endpoint (required after first login with a temporary password)
+app.post('/student/auth/change-password', validateBody(changePasswordSchema), async (c) => {
+  const { student_id, sid } = c.get('auth');
+  const { current_password, new_password } = c.req.valid('json');
+  
+  const passwordError = validatePasswordStrength(new_password);
+  if (passwordError) {
+    return c.json({ error: 'Weak password', details: passwordError }, 400);
+  }
+  
+  const { rows } = await pool.query('SELECT * FROM students WHERE id = $1 AND deleted_at IS NULL', [student_id]);
+  if (rows.length === 0) {
+    return c.json({ error: 'Student not found' }, 404);
+  }
+  
+  const student = rows[0];
+  const isAuthenticated = student.password 
+    ? await bcrypt.compare(current_password, student.password) 
+    : false;
+  
+  if (!isAuthenticated) {
+    return c.json({ error: 'Invalid credentials', details: 'Current password is incorrect' }, 401);
+  }
+  
+  // The national ID / birth certificate was the old default password
+  if (new_password === current_password || 
+      new_password === student.national_id || 
+      new_password === student.birth_certificate) {
     return c.json({ 
-      error: 'Token verification failed', 
-      details: error.message 
-    }, 500);
+      error: 'Weak password', 
+      details: 'New password must differ from your current password and identity documents' 
+    }, 400);
   }
+  
+  const hashedPassword = await bcrypt.hash(new_password, 10);
+  const { rows: updatedRows } = await pool.query(
+    `UPDATE students SET password = $1, must_change_password = false 
+     WHERE id = $2 AND deleted_at IS NULL RETURNING id, registration_number, must_change_password, status`,
+    [hashedPassword, student_id]
+  );
+  
+  return c.json({ 
+    message: 'Password changed successfully', 
+    token: signStudentToken(updatedRows[0], sid)
+  });
 });
 
-// Student forgot password endpoint
-app.post('/student/auth/forgot-password', async (c) => {
-  try {
-    console.log('Student forgot password request received');
-    const body = await c.req.json();
-    
-    // Extract necessary fields from request
-    const { registration_number, new_password } = body;
-    
-    if (!registration_number) {
-      return c.json({ error: 'Registration number is required' }, 400);
-    }
-    
-    if (!new_password) {
-      return c.json({ error: 'New password is required' }, 400);
-    }
-    
-    // Find the student
-    const { rows } = await pool.query('SELECT * FROM students WHERE registration_number = $1', [registration_number]);
-    if (rows.length === 0) {
-      return c.json({ error: 'Student not found' }, 404);
+// Exam Card Endpoints
+app.get('/students/:id/exam-card', async (c) => {
+  const studentId = c.req.param('id');
+  console.log('Fetching exam card for student:', studentId);
+  
+  // First, verify the student exists
+  const { rows: studentRows } = await pool.query(
+    'SELECT id, registration_number, name FROM students WHERE id = $1',
+    [studentId]
+  );
+  
+  if (studentRows.length === 0) {
+    console.log('Student not found:', studentId);
+    return c.json({ error: 'Student not found' }, 404);
+  }
+  
+  // Check fee status (optional - don't block if no fee record)
+  const { rows: feeRows } = await pool.query(
+    'SELECT fee_balance FROM fees WHERE student_id = $1',
+    [studentId]
+  );
+  
+  let feeStatus = 'no_record';
+  if (feeRows.length > 0) {
+    const feeBalance = parseFloat(feeRows[0].fee_balance) || 0;
+    if (feeBalance > 0) {
+      console.log('Student has outstanding fee balance:', feeBalance);
+      return c.json({ 
+        error: 'Please complete your fee payment to download your exam card.',
+        fee_balance: feeBalance
+      }, 403);
     }
-    
-    const student = rows[0];
-    
-    // Hash the new password
-    const hashedPassword = await bcrypt.hash(new_password, 10);
-    
-    // Update the password in the database
-    await pool.query(
-      'UPDATE students SET password = $1 WHERE registration_number = $2',
-      [hashedPassword, registration_number]
-    );
-    
+    feeStatus = 'paid';
+  }
+  
+  // Try to get exam card file URL from new unified system first
+  const { rows: docRows } = await pool.query(
+    `SELECT file_url, file_name, uploaded_at FROM student_documents 
+     WHERE registration_number = $1 AND document_type = 'exam-card' 
+     ORDER BY uploaded_at DESC LIMIT 1`,
+    [studentRows[0].registration_number]
+  );
+  
+  if (docRows.length > 0) {
+    console.log('Found exam card in unified document system');
     return c.json({ 
-      message: 'Password reset successful', 
-      registration_number: student.registration_number 
+      file_url: docRows[0].file_url,
+      file_name: docRows[0].file_name,
+      uploaded_at: docRows[0].uploaded_at,
+      fee_status: feeStatus
     });
-  } catch (error) {
-    console.error('Error resetting student password:', error);
-    return c.json({ 
-      error: 'Failed to reset password', 
-      details: error.message 
-    }, 500);
   }
+  
+  // Fall back to the legacy exam_cards table
+  const { rows: cardRows } = await pool.query(
+    'SELECT file_url, created_at FROM exam_cards WHERE student_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [studentId]
+  );
+  
+  if (cardRows.length === 0) {
+    return c.json({ error: 'No exam card found' }, 404);
+  }
+  
+  return c.json({ 
+    file_url: cardRows[0].file_url,
+    uploaded_at: cardRows[0].created_at,
+    fee_status: feeStatus
+  });
 });
 
-// Exam Card Endpoints
-app.get('/students/:id/exam-card', async (c) => {
+// Upload an exam card file (binary or multipart), or save an exam card record
+// for an uploaded file_url (JSON)
+app.post('/exam-cards', async (c) => {
   try {
-    const studentId = c.req.param('id');
-    console.log('Fetching exam card for student:', studentId);
-    
-    // First, verify the student exists
-    const { rows: studentRows } = await pool.query(
-      'SELECT id, registration_number, name FROM students WHERE id = $1',
-      [studentId]
-    );
-    
-    if (studentRows.length === 0) {
-      console.log('Student not found:', studentId);
-      return c.json({ error: 'Student not found' }, 404);
-    }
-    
-    // Check fee status (optional - don't block if no fee record)
-    const { rows: feeRows } = await pool.query(
-      'SELECT fee_balance FROM fees WHERE student_id = $1',
-      [studentId]
-    );
-    
-    let feeStatus = 'no_record';
-    if (feeRows.length > 0) {
-      const feeBalance = parseFloat(feeRows[0].fee_balance) || 0;
-      if (feeBalance > 0) {
-        console.log('Student has outstanding fee balance:', feeBalance);
-        return c.json({ 
-          error: 'Please complete your fee payment to download your exam card.',
-          fee_balance: feeBalance
-        }, 403);
-      }
-      feeStatus = 'paid';
-    }
-    
-    // Try to get exam card file URL from new unified system first
-    const { rows: docRows } = await pool.query(
-      `SELECT file_url, file_name, uploaded_at FROM student_documents 
-       WHERE registration_number = $1 AND document_type = 'exam-card' 
-       ORDER BY uploaded_at DESC LIMIT 1`,
-      [studentRows[0].registration_number]
-    );
-    
-    if (docRows.length > 0) {
-      console.log('Found exam card in unified document system');
-      return c.json({ 
-        file_url: docRows[0].
+    const contentType = c.req.header('content-type') || '';
+    let registration_number;
+    let file_url;
     
     // Handle binary file upload (application/octet-stream or specific file types)
     if (contentType.includes('application/octet-stream') || 
@@ -2254,7 +3355,7 @@ app.get('/students/:id/exam-card', async (c) => {
         
         console.log(`Uploading binary file to exam_cards folder in student-documents bucket...`);
         
-        const { data, error } = await supabase.storage
+        const { error } = await supabase.storage
           .from('student-documents')
           .upload(uploadPath, binaryData, { 
             contentType: fileType,
@@ -2357,7 +3458,7 @@ app.get('/students/:id/exam-card', async (c) => {
             
             console.log(`Uploading ${file.name} to exam_cards folder in student-documents bucket...`);
             
-            const { data, error } = await supabase.storage
+            const { error } = await supabase.storage
               .from('student-documents')
               .upload(uploadPath, fileData, { 
                 contentType: file.type,
@@ -2365,7 +3466,7 @@ app.get('/students/:id/exam-card', async (c) => {
               });
               
             if (error) {
-              console.error
+              logger.error('Error uploading file to exam_cards', { registration_number, error });
               throw error;
             }
 
@@ -2517,6 +3618,15 @@ app.post('/exam-cards/:regNumber', async (c) => {
     const contentType = c.req.header('content-type') || '';
     console.log('Request content-type:', contentType);
     
+    const { rows: studentRows } = await pool.query(
+      'SELECT id FROM students WHERE registration_number = $1 AND deleted_at IS NULL',
+      [registration_number]
+    );
+    if (studentRows.length === 0) {
+      return c.json({ error: 'Student not found' }, 404);
+    }
+    const studentId = studentRows[0].id;
+    
     // Handle binary file upload
     if (contentType.includes('application/octet-stream') || 
         contentType.includes('image/') || 
@@ -2561,7 +3671,7 @@ app.post('/exam-cards/:regNumber', async (c) => {
         
         console.log(`Uploading binary file to exam_cards folder in student-documents bucket...`);
         
-        const { data, error } = await supabase.storage
+        const { error } = await supabase.storage
           .from('student-documents')
           .upload(uploadPath, binaryData, { 
             contentType: fileType,
@@ -2717,9 +3827,10 @@ app.get('/students/:id/fee-receipt', async (c) => {
   return c.json({ receipt_url: rows[0].receipt_url });
 });
 
-app.post('/students/:id/fee-statement', async (c) => {
-  const studentId = c.req.param('id');
-  const { statement_url } = await c.req.json();
+app.post('/students/:id/fee-statement', validateBody(studentIdParamSchema, { target: 'param' }), validateBody(feeStatementSchema), async (c) => {
+  const studentId = c.req.valid('param').id;
+  const { statement_url } = c.req.valid('json');
+  await checkNotGraduated({ id: studentId }, 'fee billing');
   await pool.query(
     'INSERT INTO finance (student_id, statement_url) VALUES ($1, $2)',
     [studentId, statement_url]
@@ -2727,9 +3838,9 @@ app.post('/students/:id/fee-statement', async (c) => {
   return c.json({ message: 'Fee statement uploaded.' });
 });
 
-app.post('/students/:id/fee-receipt', async (c) => {
+app.post('/students/:id/fee-receipt', validateBody(feeReceiptSchema), async (c) => {
   const studentId = c.req.param('id');
-  const { receipt_url } = await c.req.json();
+  const { receipt_url } = c.req.valid('json');
   await pool.query(
     'INSERT INTO finance (student_id, receipt_url) VALUES ($1, $2)',
     [studentId, receipt_url]
@@ -2747,13 +3858,14 @@ app.post('/students/:id/upload-fee-statement', fileUploadValidator, async (c) =>
     
     // Get student info to verify
     const { rows: studentRows } = await pool.query(
-      'SELECT registration_number FROM students WHERE id = $1',
+      'SELECT registration_number, status FROM students WHERE id = $1 AND deleted_at IS NULL',
       [studentId]
     );
     
     if (studentRows.length === 0) {
       return c.json({ error: 'Student not found' }, 404);
     }
+    assertNotGraduated(studentRows[0], 'fee billing');
     
     // Upload file using the generic handler
     const result = await handleFileUpload(registrationNumber, file, 'fees-statement');
@@ -2771,6 +3883,7 @@ app.post('/students/:id/upload-fee-statement', fileUploadValidator, async (c) =>
       ...result
     });
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error uploading fee statement:', error);
     return c.json({ 
       error: 'Failed to upload fee statement', 
@@ -2789,7 +3902,7 @@ app.post('/students/:id/upload-fee-receipt', fileUploadValidator, async (c) => {
     
     // Get student info to verify
     const { rows: studentRows } = await pool.query(
-      'SELECT registration_number FROM students WHERE id = $1',
+      'SELECT registration_number FROM students WHERE id = $1 AND deleted_at IS NULL',
       [studentId]
     );
     
@@ -2831,7 +3944,7 @@ app.post('/students/:id/upload-results', fileUploadValidator, async (c) => {
     
     // Get student info to verify
     const { rows: studentRows } = await pool.query(
-      'SELECT registration_number FROM students WHERE id = $1',
+      'SELECT registration_number FROM students WHERE id = $1 AND deleted_at IS NULL',
       [studentId]
     );
     
@@ -2983,17 +4096,9 @@ app.get('/units', async (c) => {
 });
 
 // Create a new unit (admin only)
-app.post('/units', async (c) => {
+app.post('/units', validateBody(createUnitSchema), async (c) => {
   try {
-    const body = await c.req.json();
-    const { unit_name, unit_code } = body;
-    
-    if (!unit_name || !unit_code) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'Unit name and unit code are required' 
-      }, 400);
-    }
+    const { unit_name, unit_code } = c.req.valid('json');
 
     // Check if unit with same code already exists
     const { rows: existingRows } = await pool.query(
@@ -3027,22 +4132,14 @@ app.post('/units', async (c) => {
 });
 
 // Allocate units to a student (admin function)
-app.post('/students/:studentId/allocate-units', async (c) => {
+app.post('/students/:studentId/allocate-units', validateBody(allocateUnitsSchema), async (c) => {
   try {
     const { studentId } = c.req.param();
-    const body = await c.req.json();
-    const { unit_ids, semester = 1, academic_year = '2024/2025', notes } = body;
-    
-    if (!unit_ids || !Array.isArray(unit_ids) || unit_ids.length === 0) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'unit_ids array is required and must not be empty' 
-      }, 400);
-    }
+    const { unit_ids, semester, academic_year, notes } = c.req.valid('json');
 
     // Verify student exists
     const { rows: studentRows } = await pool.query(
-      'SELECT id, registration_number, name FROM students WHERE id = $1',
+      'SELECT id, registration_number, name, status FROM students WHERE id = $1 AND deleted_at IS NULL',
       [studentId]
     );
     
@@ -3051,7 +4148,9 @@ app.post('/students/:studentId/allocate-units', async (c) => {
         error: 'Student not found', 
         details: 'No student found with the provided ID' 
       }, 404);
-    }    const student = studentRows[0];
+    }
+    assertNotGraduated(studentRows[0], 'unit allocation');
+    const student = studentRows[0];
     
     // Use direct sql transactions instead of pool.connect
     const allocatedUnits = [];
@@ -3124,6 +4223,7 @@ app.post('/students/:studentId/allocate-units', async (c) => {
     });
     
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error allocating units:', error);
     return c.json({ 
       error: 'Failed to allocate units', 
@@ -3133,50 +4233,16 @@ app.post('/students/:studentId/allocate-units', async (c) => {
 });
 
 // Allocate units to a student by registration number (admin function)
-app.post('/students/registration/:regNumber/allocate-units', async (c) => {
+app.post('/students/registration/:regNumber/allocate-units', validateBody(allocateUnitsSchema), async (c) => {
   try {
-    const { regNumber } = c.req.param();
-    console.log('Allocating units for registration number:', regNumber);
-    
-    // Find student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id FROM students WHERE registration_number = $1',
-      [regNumber]
-    );
-    
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
-    }
-
-    const studentId = studentRows[0].id;
-    const body = await c.req.json();
-    const { unit_ids, semester = 1, academic_year = '2024/2025', notes } = body;
+    const student = c.get('student');
+    const studentId = student.id;
+    logger.info('Allocating units', { registration_number: student.registration_number });
+    assertNotGraduated(student, 'unit allocation');
     
+    const { unit_ids, semester, academic_year, notes } = c.req.valid('json');
     console.log('Allocation request body:', { unit_ids, semester, academic_year, notes });
     
-    if (!unit_ids || !Array.isArray(unit_ids) || unit_ids.length === 0) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'unit_ids array is required and cannot be empty' 
-      }, 400);
-    }
-
-    // Verify student exists
-    const { rows: studentVerifyRows } = await pool.query(
-      'SELECT id, registration_number, name FROM students WHERE id = $1',
-      [studentId]
-    );
-    
-    if (studentVerifyRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided ID' 
-      }, 404);
-    }    const student = studentVerifyRows[0];
-    
     // Use direct sql transactions instead of pool.connect
     const allocatedUnits = [];
     const errors = [];
@@ -3215,7 +4281,7 @@ app.post('/students/registration/:regNumber/allocate-units', async (c) => {
             // Insert allocation
             const insertedRows = await txSql`
               INSERT INTO allocated_units (student_id, unit_id, semester, academic_year, status, notes) 
-              VALUES (${studentId}, ${unit_id}, ${semester}, ${academic_year}, 'allocated', ${notes}) 
+              VALUES (${studentId}, ${unit_id}, ${semester}, ${academic_year}, 'allocated', ${notes || null}) 
               RETURNING *
             `;
             
@@ -3252,6 +4318,7 @@ app.post('/students/registration/:regNumber/allocate-units', async (c) => {
     });
     
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error allocating units:', error);
     return c.json({ 
       error: 'Failed to allocate units', 
@@ -3260,157 +4327,11 @@ app.post('/students/registration/:regNumber/allocate-units', async (c) => {
   }
 });
 
-// Allocate units to a student by registration number with slash support (admin function)
-app.post('/students/registration/:course/:number/:year/allocate-units', async (c) => {
-  try {
-    const { course, number, year } = c.req.param();
-    const registration_number = `${course}/${number}/${year}`;
-    
-    console.log('Allocating units for registration number:', registration_number);
-    
-    // Find student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id FROM students WHERE registration_number = $1',
-      [registration_number]
-    );
-    
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
-    }
-    
-    const studentId = studentRows[0].id;
-    const body = await c.req.json();
-    const { unit_ids, semester = 1, academic_year = '2024/2025', notes } = body;
-    
-    if (!unit_ids || !Array.isArray(unit_ids) || unit_ids.length === 0) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'unit_ids array is required and cannot be empty' 
-      }, 400);
-    }
-
-    // Verify student exists
-    const { rows: studentVerifyRows } = await pool.query(
-      'SELECT id, registration_number, name FROM students WHERE id = $1',
-      [studentId]
-    );
-    
-    if (studentVerifyRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'Student ID not found in database' 
-      }, 404);
-    }
-
-    const student = studentVerifyRows[0];
-      // Begin transaction using postgres package
-    let allocatedUnits = [];
-    let errors = [];
-    
-    try {
-      await sql.begin(async sql => {
-        for (const unit_id of unit_ids) {
-          try {
-            // Check if unit exists
-            const unitRows = await sql`
-              SELECT id, unit_name, unit_code FROM units WHERE id = ${unit_id}
-            `;
-            
-            if (unitRows.length === 0) {
-              errors.push(`Unit with ID ${unit_id} not found`);
-              continue;
-            }
-            
-            const unit = unitRows[0];
-            
-            // Check if already allocated
-            const existingRows = await sql`
-              SELECT id FROM allocated_units 
-              WHERE student_id = ${studentId} 
-                AND unit_id = ${unit_id} 
-                AND semester = ${semester} 
-                AND academic_year = ${academic_year} 
-                AND status != ${'cancelled'}
-            `;
-            
-            if (existingRows.length > 0) {
-              errors.push(`Unit ${unit.unit_code} already allocated for this semester`);
-              continue;
-            }
-            
-            // Insert allocation
-            const insertedRows = await sql`
-              INSERT INTO allocated_units (student_id, unit_id, semester, academic_year, status, notes) 
-              VALUES (${studentId}, ${unit_id}, ${semester}, ${academic_year}, ${'allocated'}, ${notes || null}) 
-              RETURNING *
-            `;
-            
-            allocatedUnits.push({
-              ...insertedRows[0],
-              unit_name: unit.unit_name,
-              unit_code: unit.unit_code
-            });
-            
-          } catch (unitError) {
-            console.error(`Error allocating unit ${unit_id}:`, unitError);
-            errors.push(`Failed to allocate unit ${unit_id}: ${unitError.message}`);
-          }
-        }
-      });
-      
-      return c.json({
-        message: 'Unit allocation completed',
-        student: {
-          id: student.id,
-          registration_number: student.registration_number,
-          name: student.name
-        },
-        allocated_units: allocatedUnits,
-        summary: {
-          total_requested: unit_ids.length,
-          successfully_allocated: allocatedUnits.length,
-          errors: errors.length
-        },
-        errors: errors.length > 0 ? errors : undefined
-      });
-      
-    } catch (txError) {
-      throw txError;
-    }
-    
-  } catch (error) {
-    console.error('Error allocating units:', error);
-    return c.json({ 
-      error: 'Failed to allocate units', 
-      details: error.message 
-    }, 500);
-  }
-});
-
-// Get allocated units for a student by registration number (simple format)
+// Get allocated units for a student by registration number
 app.get('/students/registration/:regNumber/allocated-units', async (c) => {
   try {
-    const { regNumber } = c.req.param();
-    
-    console.log('Getting allocated units for registration number:', regNumber);
-    
-    // Find student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id, name, registration_number FROM students WHERE registration_number = $1',
-      [regNumber]
-    );
-    
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
-    }
-    
-    const student = studentRows[0];
+    const student = c.get('student');
+    logger.debug('Getting allocated units', { registration_number: student.registration_number });
     
     // Get allocated units for this student
     const { rows: allocatedUnits } = await pool.query(`
@@ -3444,118 +4365,26 @@ app.get('/students/registration/:regNumber/allocated-units', async (c) => {
   }
 });
 
-// Get allocated units for a student by registration number (with slash support)
-app.get('/students/registration/:course/:number/:year/allocated-units', async (c) => {
-  try {
-    const { course, number, year } = c.req.param();
-    const registration_number = `${course}/${number}/${year}`;
-    
-    console.log('Getting allocated units for registration number:', registration_number);
-    
-    // Find student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id, name, registration_number FROM students WHERE registration_number = $1',
-      [registration_number]
-    );
-    
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
-    }
-    
-    const student = studentRows[0];
-    
-    // Get allocated units for this student
-    const { rows: allocatedUnits } = await pool.query(`
-      SELECT 
-        au.*,
-        u.unit_name,
-        u.unit_code
-      FROM allocated_units au
-      JOIN units u ON au.unit_id = u.id
-      WHERE au.student_id = $1
-      ORDER BY au.semester, u.unit_code
-    `, [student.id]);
-    
-    return c.json({
-      success: true,
-      student: {
-        id: student.id,
-        name: student.name,
-        registration_number: student.registration_number
-      },
-      allocated_units: allocatedUnits,
-      count: allocatedUnits.length
-    });
-    
-  } catch (error) {
-    console.error('Error getting allocated units:', error);
-    return c.json({ 
-      error: 'Failed to get allocated units', 
-      details: error.message    }, 500);
-  }
-});
-
 // Upload/Update student photo endpoint
-app.post('/students/registration/:regNumber/upload-photo', async (c) => {
+app.post('/students/registration/:regNumber/upload-photo', validateBody(photoUploadSchema, { target: 'form' }), async (c) => {
   try {
-    const { regNumber } = c.req.param();
-    console.log('Photo upload request for student:', regNumber);
-    
-    const formData = await c.req.formData();
-    const photoFile = formData.get('photo');
+    const student = c.get('student');
+    logger.info('Photo upload request', { registration_number: student.registration_number });
     
-    if (!photoFile || !(photoFile instanceof File) || photoFile.size === 0) {
-      return c.json({ 
-        error: 'Missing photo file', 
-        details: 'A valid photo file is required' 
-      }, 400);
-    }
-    
-    // Validate photo file type
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
-    if (!allowedTypes.includes(photoFile.type)) {
-      return c.json({ 
-        error: 'Invalid photo type', 
-        details: 'Photo must be JPEG, JPG, PNG, or GIF format' 
-      }, 400);
-    }
-    
-    // Validate photo file size (max 5MB)
-    if (photoFile.size > 5 * 1024 * 1024) {
-      return c.json({ 
-        error: 'Photo file too large', 
-        details: 'Photo must be less than 5MB' 
-      }, 400);
-    }
-    
-    // Find student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id FROM students WHERE registration_number = $1',
-      [regNumber]
-    );
-    
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
-    }
+    const { photo: photoFile } = c.req.valid('form');
     
     try {
       console.log('Uploading student photo to Supabase...');
       const uploadResult = await uploadFileToSupabase(
         photoFile,
         'photos',
-        `student_${regNumber}`
+        `student_${student.registration_number}`
       );
       
       // Update student photo URL in database
       const { rows } = await pool.query(
-        'UPDATE students SET photo_url = $1 WHERE registration_number = $2 RETURNING id, name, registration_number, photo_url',
-        [uploadResult.publicUrl, regNumber]
+        'UPDATE students SET photo_url = $1 WHERE id = $2 AND deleted_at IS NULL RETURNING id, name, registration_number, photo_url',
+        [uploadResult.publicUrl, student.id]
       );
       
       console.log('Photo uploaded and student updated successfully:', uploadResult.publicUrl);
@@ -3584,33 +4413,11 @@ app.post('/students/registration/:regNumber/upload-photo', async (c) => {
 });
 
 // Register allocated unit for student by registration number (student function)
-app.post('/students/registration/:regNumber/register-allocated-unit', async (c) => {
+app.post('/students/registration/:regNumber/register-allocated-unit', validateBody(registerAllocatedUnitSchema), async (c) => {
   try {
-    const { regNumber } = c.req.param();
-    const body = await c.req.json();
-    const { allocated_unit_id } = body;
-    
-    if (!allocated_unit_id) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'allocated_unit_id is required' 
-      }, 400);
-    }
-
-    // Find student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id, registration_number FROM students WHERE registration_number = $1',
-      [regNumber]
-    );
-    
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
-    }
-
-    const student = studentRows[0];
+    const student = c.get('student');
+    const { allocated_unit_id } = c.req.valid('json');
+    assertNotGraduated(student, 'unit registration');
     
     // Get the allocated unit details and verify it belongs to this student
     const { rows: allocatedRows } = await pool.query(`
@@ -3642,56 +4449,30 @@ app.post('/students/registration/:regNumber/register-allocated-unit', async (c)
       }, 409);
     }    // Begin transaction using postgres package
     let registeredUnit = null;
-    try {
-      await sql.begin(async sql => {
-        // Update allocated unit status to 'registered'
-        await sql`UPDATE allocated_units SET status = ${'registered'} WHERE id = ${allocated_unit_id}`;
-        
-        // Insert into registered_units table
-        const registeredRows = await sql`
-          INSERT INTO registered_units (student_id, unit_name, unit_code, status) 
-          VALUES (${student.id}, ${allocatedUnit.unit_name}, ${allocatedUnit.unit_code}, ${'registered'}) 
-          RETURNING *
-        `;
-        
-        registeredUnit = registeredRows[0];
-      });
+    await sql.begin(async sql => {
+      // Update allocated unit status to 'registered'
+      await sql`UPDATE allocated_units SET status = ${'registered'} WHERE id = ${allocated_unit_id}`;
       
-      return c.json({ 
-        message: 'Unit registered successfully',
-        registered_unit: registeredUnit,
-        student_registration: student.registration_number,
-        allocated_unit_updated: true
-      });
-    } catch (txError) {
-      throw txError;
-    }
+      // Insert into registered_units table
+      const registeredRows = await sql`
+        INSERT INTO registered_units (student_id, unit_name, unit_code, status) 
+        VALUES (${student.id}, ${allocatedUnit.unit_name}, ${allocatedUnit.unit_code}, ${'registered'}) 
+        RETURNING *
+      `;
+      
+      registeredUnit = registeredRows[0];
+    });
     
-  } catch (error) {
-    console.error('Error registering allocated unit:', error);
     return c.json({ 
-      error: 'Failed to register allocated unit', 
-      details: error.message 
-    }, 500);
-  }
-});
-
-// Register allocated unit for student by registration number with slash support (student function)
-app.post('/students/registration/:course/:number/:year/register-allocated-unit', async (c) => {
-  try {
-    const { course, number, year } = c.req.param();
-    const registration_number = `${course}/${number}/${year}`;
-    
-    // Forward to the main registration endpoint
-    c.req.param = () => ({ regNumber: registration_number });
-    return app.fetch(c.req.raw.clone().url.replace(`/registration/${course}/${number}/${year}/`, `/registration/${registration_number}/`), {
-      method: c.req.method,
-      headers: c.req.raw.headers,
-      body: c.req.raw.body
-    }).then(res => res.json()).then(data => c.json(data));
+      message: 'Unit registered successfully',
+      registered_unit: registeredUnit,
+      student_registration: student.registration_number,
+      allocated_unit_updated: true
+    });
     
   } catch (error) {
-    console.error('Error in registration-based unit registration:', error);
+    if (error instanceof AppError) throw error;
+    console.error('Error registering allocated unit:', error);
     return c.json({ 
       error: 'Failed to register allocated unit', 
       details: error.message 
@@ -3711,4 +4492,10 @@ serve({
 
 console.log(`Server running on http://localhost:${port}`);
 
+// Return students from academic leave and send reminders (utils/leaveJobs.js).
+// Serverless deployments run `npm run leave-jobs` from cron instead.
+if (!process.env.VERCEL) {
+  startLeaveScheduler();
+}
+
 export { app };
@@ -31,6 +31,7 @@ async function initializeDatabase() {
         birth_certificate character varying,
         date_of_birth date,
         password text,
+        must_change_password boolean NOT NULL DEFAULT false,
         CONSTRAINT students_pkey PRIMARY KEY (id)
       );
     `);
@@ -42,7 +43,18 @@ async function initializeDatabase() {
         id uuid NOT NULL DEFAULT gen_random_uuid(),
         username character varying NOT NULL UNIQUE,
         password_hash text NOT NULL,
-        CONSTRAINT admins_pkey PRIMARY KEY (id)
+        role character varying NOT NULL DEFAULT 'super_admin',
+        disabled boolean NOT NULL DEFAULT false,
+        must_change_password boolean NOT NULL DEFAULT false,
+        created_at timestamp with time zone DEFAULT now(),
+        password_changed_at timestamp with time zone,
+        totp_secret character varying,
+        totp_enabled boolean NOT NULL DEFAULT false,
+        totp_enabled_at timestamp with time zone,
+        totp_last_used_step bigint,
+        totp_recovery_codes text[] NOT NULL DEFAULT '{}',
+        CONSTRAINT admins_pkey PRIMARY KEY (id),
+        CONSTRAINT admins_role_check CHECK (role = ANY (ARRAY['super_admin', 'registrar', 'finance_officer', 'exams_officer']))
       );
     `);
     console.log('Created admins table');
@@ -148,10 +160,11 @@ async function initializeDatabase() {
       const bcrypt = await import('bcryptjs');
       const hashedPassword = await bcrypt.hash('admin123', 10);
       await pool.query(
-        'INSERT INTO admins (username, password_hash) VALUES ($1, $2)',
-        ['admin', hashedPassword]
+        'INSERT INTO admins (username, password_hash, role, must_change_password) VALUES ($1, $2, $3, $4)',
+        ['admin', hashedPassword, 'super_admin', true]
       );
       console.log('Created default admin user (username: admin, password: admin123)');
+      console.log('The default password must be changed on first login');
     } else {
       console.log('Default admin user already exists');
     }
@@ -0,0 +1,9 @@
+-- Add account management columns to admins table
+ALTER TABLE public.admins 
+ADD COLUMN IF NOT EXISTS disabled boolean NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS must_change_password boolean NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS created_at timestamp with time zone DEFAULT now(),
+ADD COLUMN IF NOT EXISTS password_changed_at timestamp with time zone;
+
+COMMENT ON COLUMN public.admins.disabled IS 'Disabled admins cannot log in or verify their tokens';
+COMMENT ON COLUMN public.admins.must_change_password IS 'Admin must change password before using any other route';
@@ -0,0 +1,10 @@
+-- Add role column to admins table
+-- Existing admins keep full access as super admins
+ALTER TABLE public.admins 
+ADD COLUMN IF NOT EXISTS role character varying NOT NULL DEFAULT 'super_admin';
+
+ALTER TABLE public.admins DROP CONSTRAINT IF EXISTS admins_role_check;
+ALTER TABLE public.admins 
+ADD CONSTRAINT admins_role_check CHECK (role = ANY (ARRAY['super_admin', 'registrar', 'finance_officer', 'exams_officer']));
+
+COMMENT ON COLUMN public.admins.role IS 'Admin role: super_admin, registrar, finance_officer, exams_officer';
@@ -0,0 +1,11 @@
+-- TOTP two-factor authentication for admins
+ALTER TABLE public.admins 
+ADD COLUMN IF NOT EXISTS totp_secret character varying,
+ADD COLUMN IF NOT EXISTS totp_enabled boolean NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS totp_enabled_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS totp_last_used_step bigint,
+ADD COLUMN IF NOT EXISTS totp_recovery_codes text[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN public.admins.totp_secret IS 'Base32 authenticator secret; set by /admin/2fa/setup';
+COMMENT ON COLUMN public.admins.totp_last_used_step IS 'Last accepted 30s TOTP step, so codes cannot be replayed';
+COMMENT ON COLUMN public.admins.totp_recovery_codes IS 'SHA-256 hashes of the unused recovery codes';
@@ -0,0 +1,7 @@
+-- Contact details students keep up to date themselves (PATCH /me)
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS phone character varying,
+ADD COLUMN IF NOT EXISTS address text,
+ADD COLUMN IF NOT EXISTS next_of_kin_name character varying,
+ADD COLUMN IF NOT EXISTS next_of_kin_phone character varying,
+ADD COLUMN IF NOT EXISTS next_of_kin_relationship character varying;
@@ -0,0 +1,11 @@
+-- Indexes for listing and searching students (GET /students, utils/studentQuery.js)
+-- pg_trgm backs the ILIKE '%term%' and word-similarity (<%) name search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_students_name_trgm ON public.students USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_students_registration_number_trgm ON public.students USING gin (registration_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_students_email_trgm ON public.students USING gin (email gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_students_national_id_trgm ON public.students USING gin (national_id gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_students_course_level ON public.students (course, level_of_study);
+-- Default sort and cursor key: ORDER BY COALESCE(name::text, ''), id
+CREATE INDEX IF NOT EXISTS idx_students_name_sort ON public.students ((COALESCE(name::text, '')), id);
@@ -0,0 +1,28 @@
+-- Optimistic concurrency and soft deletion for students (PATCH/DELETE /students/:id)
+ALTER TABLE public.students 
+ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone NOT NULL DEFAULT now(),
+ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS deleted_by uuid;
+
+COMMENT ON COLUMN public.students.version IS 'Incremented on every update; clients send it back in If-Match';
+COMMENT ON COLUMN public.students.deleted_at IS 'Soft-deleted students keep their fees, results, units and documents but are hidden everywhere';
+
+-- Every update bumps the version, whichever route makes it
+DROP TRIGGER IF EXISTS bump_student_version_trigger ON public.students;
+
+CREATE OR REPLACE FUNCTION bump_student_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER bump_student_version_trigger
+BEFORE UPDATE ON public.students
+FOR EACH ROW
+EXECUTE FUNCTION bump_student_version();
+
+CREATE INDEX IF NOT EXISTS idx_students_email_lower ON public.students(lower(email));
@@ -0,0 +1,24 @@
+-- Audit trail written by utils/audit.js for every successful mutation
+-- before_data/after_data hold the targeted student row around the change
+CREATE TABLE IF NOT EXISTS public.audit_log (
+  id bigserial NOT NULL,
+  actor_type character varying NOT NULL,
+  actor_id uuid,
+  actor_name character varying,
+  action character varying NOT NULL,
+  method character varying,
+  path text,
+  status_code integer,
+  target_student_id uuid,
+  target_registration_number character varying,
+  before_data jsonb,
+  after_data jsonb,
+  details jsonb,
+  ip_address character varying,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT audit_log_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON public.audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target_student_id ON public.audit_log(target_student_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON public.audit_log(actor_id);
@@ -0,0 +1,17 @@
+-- Academic leave notices sent by utils/leaveJobs.js. One row per student, kind
+-- and leave end date, so a reminder, return or overdue notice is sent once
+-- however often (or on however many servers) the jobs run.
+CREATE TABLE IF NOT EXISTS public.leave_notices (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  kind character varying NOT NULL,
+  leave_end date NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT leave_notices_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_notices_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT leave_notices_kind_check CHECK (kind IN ('reminder', 'returned', 'overdue')),
+  CONSTRAINT leave_notices_once UNIQUE (student_id, kind, leave_end)
+);
+
+-- Students whose leave is ending or has ended
+CREATE INDEX IF NOT EXISTS idx_students_on_leave_end ON public.students(academic_leave_end) WHERE status = 'on_leave';
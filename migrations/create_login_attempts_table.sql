@@ -0,0 +1,10 @@
+-- Failed login counters and lockouts (utils/loginThrottle.js, LOGIN_THROTTLE_STORE=postgres)
+-- Keys look like 'student:<registration_number>', 'admin:<username>' or 'ip:<address>'
+CREATE TABLE IF NOT EXISTS public.login_attempts (
+  key character varying NOT NULL,
+  failures integer NOT NULL DEFAULT 0,
+  first_failure_at timestamp with time zone NOT NULL DEFAULT now(),
+  last_failure_at timestamp with time zone NOT NULL DEFAULT now(),
+  locked_until timestamp with time zone,
+  CONSTRAINT login_attempts_pkey PRIMARY KEY (key)
+);
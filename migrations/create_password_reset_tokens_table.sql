@@ -0,0 +1,15 @@
+-- Single-use, expiring tokens for the student password reset flow
+-- Only a SHA-256 hash of each token is stored
+CREATE TABLE IF NOT EXISTS public.password_reset_tokens (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  token_hash character varying(64) NOT NULL UNIQUE,
+  expires_at timestamp with time zone NOT NULL,
+  used_at timestamp with time zone,
+  requested_ip character varying,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT password_reset_tokens_pkey PRIMARY KEY (id),
+  CONSTRAINT password_reset_tokens_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_student_id ON public.password_reset_tokens(student_id);
@@ -0,0 +1,26 @@
+-- Changes to admin-locked student details (name, national ID, course)
+-- requested from the portal and reviewed by admins
+-- (utils/profileChangeRequests.js). Approval applies `changes`; `previous`
+-- keeps the values they replaced.
+CREATE TABLE IF NOT EXISTS public.profile_change_requests (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  changes jsonb NOT NULL,
+  previous jsonb NOT NULL,
+  reason text,
+  status character varying NOT NULL DEFAULT 'pending',
+  submitted_at timestamp with time zone NOT NULL DEFAULT now(),
+  reviewed_at timestamp with time zone,
+  reviewed_by uuid,
+  reviewer_name character varying,
+  review_comment text,
+  CONSTRAINT profile_change_requests_pkey PRIMARY KEY (id),
+  CONSTRAINT profile_change_requests_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT profile_change_requests_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled'))
+);
+
+-- A student has at most one request waiting for review
+CREATE UNIQUE INDEX IF NOT EXISTS idx_profile_change_requests_one_pending ON public.profile_change_requests(student_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_profile_change_requests_status ON public.profile_change_requests(status, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_profile_change_requests_student_id ON public.profile_change_requests(student_id, submitted_at);
@@ -0,0 +1,25 @@
+-- Graduation (utils/graduation.js). programme_requirements holds what a
+-- student of each course must complete before POST /students/:id/graduate
+-- accepts them; the students columns record the graduation itself.
+CREATE TABLE IF NOT EXISTS public.programme_requirements (
+  course character varying NOT NULL,
+  final_level character varying,
+  min_units integer NOT NULL DEFAULT 0 CHECK (min_units >= 0),
+  required_unit_codes text[] NOT NULL DEFAULT '{}',
+  max_fee_balance numeric NOT NULL DEFAULT 0 CHECK (max_fee_balance >= 0),
+  require_results boolean NOT NULL DEFAULT true,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_by character varying,
+  CONSTRAINT programme_requirements_pkey PRIMARY KEY (course)
+);
+
+-- Courses are matched without regard to case, as in the student listing
+CREATE UNIQUE INDEX IF NOT EXISTS idx_programme_requirements_course_lower ON public.programme_requirements(lower(course));
+
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS graduation_date date,
+ADD COLUMN IF NOT EXISTS award character varying,
+ADD COLUMN IF NOT EXISTS award_classification character varying;
+
+COMMENT ON COLUMN public.students.award IS 'Award conferred at graduation, e.g. Bachelor of Science in Computer Science';
+COMMENT ON COLUMN public.students.award_classification IS 'Class of the award, e.g. Second Class Honours (Upper Division)';
@@ -0,0 +1,9 @@
+-- Token buckets for the request rate limiter (utils/rateLimit.js, RATE_LIMIT_STORE=postgres)
+-- Keys look like 'read:user:student:<id>' or 'auth:ip:<address>'
+CREATE TABLE IF NOT EXISTS public.rate_limit_buckets (
+  key character varying NOT NULL,
+  tokens double precision NOT NULL,
+  allowed boolean NOT NULL DEFAULT true,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT rate_limit_buckets_pkey PRIMARY KEY (key)
+);
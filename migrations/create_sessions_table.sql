@@ -0,0 +1,20 @@
+-- Server-side sessions behind the rotating refresh tokens (utils/sessions.js)
+-- One row per refresh token; rows of the same login share a family_id
+-- Only a SHA-256 hash of each refresh token is stored
+CREATE TABLE IF NOT EXISTS public.sessions (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  family_id uuid NOT NULL,
+  subject_type character varying NOT NULL CHECK (subject_type IN ('admin', 'student')),
+  subject_id uuid NOT NULL,
+  refresh_token_hash character varying(64) NOT NULL UNIQUE,
+  expires_at timestamp with time zone NOT NULL,
+  revoked_at timestamp with time zone,
+  revoked_reason character varying,
+  user_agent text,
+  ip_address character varying,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT sessions_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_subject ON public.sessions(subject_type, subject_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_family_id ON public.sessions(family_id);
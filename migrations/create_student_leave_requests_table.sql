@@ -0,0 +1,30 @@
+-- Academic leave requested by students from the portal and reviewed by admins
+-- (utils/leaveRequests.js). Approval puts the student on leave, or the leave
+-- jobs do on the start date; started_at records when.
+CREATE TABLE IF NOT EXISTS public.leave_requests (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  reason text NOT NULL,
+  document_id uuid,
+  document_url text,
+  status character varying NOT NULL DEFAULT 'pending',
+  submitted_at timestamp with time zone NOT NULL DEFAULT now(),
+  reviewed_at timestamp with time zone,
+  reviewed_by uuid,
+  reviewer_name character varying,
+  review_comment text,
+  started_at timestamp with time zone,
+  CONSTRAINT leave_requests_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_requests_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT leave_requests_document_id_fkey FOREIGN KEY (document_id) REFERENCES public.student_documents(id) ON DELETE SET NULL,
+  CONSTRAINT leave_requests_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+  CONSTRAINT leave_requests_dates_check CHECK (end_date >= start_date)
+);
+
+-- A student has at most one request waiting for review
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_requests_one_pending ON public.leave_requests(student_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON public.leave_requests(status, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_student_id ON public.leave_requests(student_id, submitted_at);
@@ -0,0 +1,23 @@
+-- Promotion history written by utils/promotions.js. A cohort promotion writes
+-- one row per student it considered, all sharing a batch_id: 'promoted' rows
+-- hold the old and new level, 'held_back' rows the reasons the student stayed.
+CREATE TABLE IF NOT EXISTS public.student_promotions (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  batch_id uuid NOT NULL,
+  student_id uuid NOT NULL,
+  course character varying,
+  from_level character varying,
+  to_level character varying NOT NULL,
+  outcome character varying NOT NULL,
+  reasons jsonb NOT NULL DEFAULT '[]'::jsonb,
+  actor_type character varying,
+  actor_id uuid,
+  actor_name character varying,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT student_promotions_pkey PRIMARY KEY (id),
+  CONSTRAINT student_promotions_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT student_promotions_outcome_check CHECK (outcome IN ('promoted', 'held_back'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_promotions_student ON public.student_promotions(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_student_promotions_batch ON public.student_promotions(batch_id);
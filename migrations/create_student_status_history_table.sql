@@ -0,0 +1,71 @@
+-- Student lifecycle (utils/studentStatus.js): one checked status column and a
+-- history of every status change (GET /students/:id/status-history)
+
+-- Statuses from the older deregistered/academic_leave flags. This replaces the
+-- backfill that add_student_status.sql and update_student_status.sql repeated.
+UPDATE public.students SET status = CASE
+  WHEN deregistered THEN 'deregistered'
+  WHEN academic_leave THEN 'on_leave'
+  ELSE 'active'
+END
+WHERE status IS NULL
+  OR status NOT IN ('applicant', 'active', 'on_leave', 'deregistered', 'suspended', 'graduated', 'deceased');
+
+ALTER TABLE public.students ALTER COLUMN status SET NOT NULL;
+
+ALTER TABLE public.students DROP CONSTRAINT IF EXISTS students_status_check;
+ALTER TABLE public.students ADD CONSTRAINT students_status_check
+CHECK (status IN ('applicant', 'active', 'on_leave', 'deregistered', 'suspended', 'graduated', 'deceased'));
+
+CREATE INDEX IF NOT EXISTS idx_students_status ON public.students(status);
+
+COMMENT ON COLUMN public.students.status IS 'applicant, active, on_leave, deregistered, suspended, graduated or deceased; changed only through utils/studentStatus.js';
+
+CREATE TABLE IF NOT EXISTS public.student_status_history (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  from_status character varying,
+  to_status character varying NOT NULL,
+  reason text,
+  effective_from date NOT NULL DEFAULT CURRENT_DATE,
+  effective_to date,
+  actor_type character varying,
+  actor_id uuid,
+  actor_name character varying,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT student_status_history_pkey PRIMARY KEY (id),
+  CONSTRAINT student_status_history_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_status_history_student_id ON public.student_status_history(student_id, created_at);
+
+COMMENT ON COLUMN public.student_status_history.effective_to IS 'End of the period in to_status: the planned leave end, or the start of the next status';
+
+-- Starting point for existing students
+INSERT INTO public.student_status_history (student_id, to_status, reason, effective_from, effective_to, actor_type)
+SELECT
+  s.id,
+  s.status,
+  CASE s.status WHEN 'on_leave' THEN s.academic_leave_reason WHEN 'deregistered' THEN s.deregistration_reason END,
+  COALESCE(CASE s.status WHEN 'on_leave' THEN s.academic_leave_start WHEN 'deregistered' THEN s.deregistration_date END, CURRENT_DATE),
+  CASE WHEN s.status = 'on_leave' THEN s.academic_leave_end END,
+  'system'
+FROM public.students s
+WHERE NOT EXISTS (SELECT 1 FROM public.student_status_history h WHERE h.student_id = s.id);
+
+-- Every new student (POST /students, imports) starts its history
+DROP TRIGGER IF EXISTS record_initial_student_status_trigger ON public.students;
+
+CREATE OR REPLACE FUNCTION record_initial_student_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.student_status_history (student_id, to_status)
+  VALUES (NEW.id, NEW.status);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER record_initial_student_status_trigger
+AFTER INSERT ON public.students
+FOR EACH ROW
+EXECUTE FUNCTION record_initial_student_status();
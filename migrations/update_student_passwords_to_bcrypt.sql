@@ -0,0 +1,38 @@
+-- Replace plaintext student passwords with bcrypt hashes
+-- Passwords seeded from national_id/birth_certificate must be changed on next login
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE public.students 
+ADD COLUMN IF NOT EXISTS must_change_password boolean NOT NULL DEFAULT false;
+
+-- Remove the triggers that copied national_id/birth_certificate into password
+DROP TRIGGER IF EXISTS set_student_password_trigger ON public.students;
+DROP TRIGGER IF EXISTS update_student_password_trigger ON public.students;
+DROP FUNCTION IF EXISTS set_default_student_password();
+DROP FUNCTION IF EXISTS update_student_password();
+
+-- Hash every value that is not already a bcrypt hash
+UPDATE public.students
+SET password = crypt(password, gen_salt('bf', 10)),
+    must_change_password = true
+WHERE password IS NOT NULL AND password !~ '^\$2[aby]\$[0-9]{2}\$';
+
+-- Safety net: never store anything but a bcrypt hash
+CREATE OR REPLACE FUNCTION enforce_hashed_student_password()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.password IS NOT NULL AND NEW.password !~ '^\$2[aby]\$[0-9]{2}\$' THEN
+    NEW.password := crypt(NEW.password, gen_salt('bf', 10));
+    NEW.must_change_password := true;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_hashed_student_password_trigger ON public.students;
+CREATE TRIGGER enforce_hashed_student_password_trigger
+BEFORE INSERT OR UPDATE OF password ON public.students
+FOR EACH ROW
+EXECUTE FUNCTION enforce_hashed_student_password();
+
+COMMENT ON COLUMN public.students.must_change_password IS 'Student must change password before using the portal';
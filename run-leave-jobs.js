@@ -0,0 +1,33 @@
+import dotenv from 'dotenv';
+import { sql } from './db.js';
+import { runLeaveJobs } from './utils/leaveJobs.js';
+dotenv.config();
+
+// Run the academic leave jobs once (starts, reminders, returns, overdue flags) and
+// exit; for cron or a scheduler add-on. See utils/leaveJobs.js.
+//
+//   npm run leave-jobs                 # as of today
+//   npm run leave-jobs -- 2024-12-01   # as of another date
+
+async function main() {
+  const date = process.argv[2];
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    console.error('Usage: node run-leave-jobs.js [YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  const result = await runLeaveJobs(date ? { date } : {});
+  console.log(`Leave jobs for ${result.date}: ${result.started.length} started, ${result.reminded.length} reminded, ` +
+    `${result.returned.length} returned, ${result.overdue.length} overdue, ${result.failed.length} failed`);
+  return result.failed.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(async (exitCode) => {
+    await sql.end();
+    process.exit(exitCode);
+  })
+  .catch((error) => {
+    console.error('Leave jobs failed:', error);
+    process.exit(1);
+  });
@@ -5,7 +5,36 @@ CREATE TABLE public.admins (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   username character varying NOT NULL UNIQUE,
   password_hash text NOT NULL,
-  CONSTRAINT admins_pkey PRIMARY KEY (id)
+  role character varying NOT NULL DEFAULT 'super_admin',
+  disabled boolean NOT NULL DEFAULT false,
+  must_change_password boolean NOT NULL DEFAULT false,
+  created_at timestamp with time zone DEFAULT now(),
+  password_changed_at timestamp with time zone,
+  totp_secret character varying,
+  totp_enabled boolean NOT NULL DEFAULT false,
+  totp_enabled_at timestamp with time zone,
+  totp_last_used_step bigint,
+  totp_recovery_codes text[] NOT NULL DEFAULT '{}',
+  CONSTRAINT admins_pkey PRIMARY KEY (id),
+  CONSTRAINT admins_role_check CHECK (role = ANY (ARRAY['super_admin', 'registrar', 'finance_officer', 'exams_officer']))
+);
+CREATE TABLE public.audit_log (
+  id bigserial NOT NULL,
+  actor_type character varying NOT NULL,
+  actor_id uuid,
+  actor_name character varying,
+  action character varying NOT NULL,
+  method character varying,
+  path text,
+  status_code integer,
+  target_student_id uuid,
+  target_registration_number character varying,
+  before_data jsonb,
+  after_data jsonb,
+  details jsonb,
+  ip_address character varying,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT audit_log_pkey PRIMARY KEY (id)
 );
 CREATE TABLE public.exam_cards (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
@@ -34,6 +63,13 @@ CREATE TABLE public.finance (
   CONSTRAINT finance_pkey PRIMARY KEY (id),
   CONSTRAINT finance_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id)
 );
+CREATE TABLE public.rate_limit_buckets (
+  key character varying NOT NULL,
+  tokens double precision NOT NULL,
+  allowed boolean NOT NULL DEFAULT true,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT rate_limit_buckets_pkey PRIMARY KEY (key)
+);
 CREATE TABLE public.registered_units (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   student_id uuid,
@@ -63,8 +99,36 @@ CREATE TABLE public.students (
   birth_certificate character varying,
   date_of_birth date,
   password text,
-  CONSTRAINT students_pkey PRIMARY KEY (id)
+  must_change_password boolean NOT NULL DEFAULT false,
+  version integer NOT NULL DEFAULT 1,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  deleted_at timestamp with time zone,
+  deleted_by uuid,
+  status character varying NOT NULL DEFAULT 'active',
+  graduation_date date,
+  award character varying,
+  award_classification character varying,
+  phone character varying,
+  address text,
+  next_of_kin_name character varying,
+  next_of_kin_phone character varying,
+  next_of_kin_relationship character varying,
+  CONSTRAINT students_pkey PRIMARY KEY (id),
+  CONSTRAINT students_status_check CHECK (status = ANY (ARRAY['applicant', 'active', 'on_leave', 'deregistered', 'suspended', 'graduated', 'deceased']))
 );
+CREATE OR REPLACE FUNCTION bump_student_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+CREATE TRIGGER bump_student_version_trigger
+BEFORE UPDATE ON public.students
+FOR EACH ROW
+EXECUTE FUNCTION bump_student_version();
+CREATE INDEX idx_students_email_lower ON public.students(lower(email));
 CREATE TABLE public.timetables (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   student_id uuid,
@@ -93,4 +157,140 @@ CREATE TABLE public.student_documents (
 );
 CREATE INDEX idx_student_documents_registration ON public.student_documents(registration_number);
 CREATE INDEX idx_student_documents_type ON public.student_documents(document_type);
-CREATE INDEX idx_student_documents_uploaded ON public.student_documents(uploaded_at);
\ No newline at end of file
+CREATE INDEX idx_student_documents_uploaded ON public.student_documents(uploaded_at);
+CREATE TABLE public.login_attempts (
+  key character varying NOT NULL,
+  failures integer NOT NULL DEFAULT 0,
+  first_failure_at timestamp with time zone NOT NULL DEFAULT now(),
+  last_failure_at timestamp with time zone NOT NULL DEFAULT now(),
+  locked_until timestamp with time zone,
+  CONSTRAINT login_attempts_pkey PRIMARY KEY (key)
+);
+CREATE TABLE public.password_reset_tokens (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  token_hash character varying(64) NOT NULL UNIQUE,
+  expires_at timestamp with time zone NOT NULL,
+  used_at timestamp with time zone,
+  requested_ip character varying,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT password_reset_tokens_pkey PRIMARY KEY (id),
+  CONSTRAINT password_reset_tokens_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE
+);
+CREATE TABLE public.sessions (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  family_id uuid NOT NULL,
+  subject_type character varying NOT NULL CHECK (subject_type = ANY (ARRAY['admin', 'student'])),
+  subject_id uuid NOT NULL,
+  refresh_token_hash character varying(64) NOT NULL UNIQUE,
+  expires_at timestamp with time zone NOT NULL,
+  revoked_at timestamp with time zone,
+  revoked_reason character varying,
+  user_agent text,
+  ip_address character varying,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT sessions_pkey PRIMARY KEY (id)
+);
+CREATE TABLE public.student_status_history (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  from_status character varying,
+  to_status character varying NOT NULL,
+  reason text,
+  effective_from date NOT NULL DEFAULT CURRENT_DATE,
+  effective_to date,
+  actor_type character varying,
+  actor_id uuid,
+  actor_name character varying,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT student_status_history_pkey PRIMARY KEY (id),
+  CONSTRAINT student_status_history_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_students_status ON public.students(status);
+CREATE INDEX idx_student_status_history_student_id ON public.student_status_history(student_id, created_at);
+CREATE TABLE public.leave_notices (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  kind character varying NOT NULL,
+  leave_end date NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT leave_notices_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_notices_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT leave_notices_kind_check CHECK (kind = ANY (ARRAY['reminder', 'returned', 'overdue'])),
+  CONSTRAINT leave_notices_once UNIQUE (student_id, kind, leave_end)
+);
+CREATE INDEX idx_students_on_leave_end ON public.students(academic_leave_end) WHERE status = 'on_leave';
+CREATE TABLE public.leave_requests (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  reason text NOT NULL,
+  document_id uuid,
+  document_url text,
+  status character varying NOT NULL DEFAULT 'pending',
+  submitted_at timestamp with time zone NOT NULL DEFAULT now(),
+  reviewed_at timestamp with time zone,
+  reviewed_by uuid,
+  reviewer_name character varying,
+  review_comment text,
+  started_at timestamp with time zone,
+  CONSTRAINT leave_requests_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_requests_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT leave_requests_document_id_fkey FOREIGN KEY (document_id) REFERENCES public.student_documents(id) ON DELETE SET NULL,
+  CONSTRAINT leave_requests_status_check CHECK (status = ANY (ARRAY['pending', 'approved', 'rejected', 'cancelled'])),
+  CONSTRAINT leave_requests_dates_check CHECK (end_date >= start_date)
+);
+CREATE UNIQUE INDEX idx_leave_requests_one_pending ON public.leave_requests(student_id) WHERE status = 'pending';
+CREATE INDEX idx_leave_requests_status ON public.leave_requests(status, submitted_at);
+CREATE INDEX idx_leave_requests_student_id ON public.leave_requests(student_id, submitted_at);
+CREATE TABLE public.student_promotions (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  batch_id uuid NOT NULL,
+  student_id uuid NOT NULL,
+  course character varying,
+  from_level character varying,
+  to_level character varying NOT NULL,
+  outcome character varying NOT NULL,
+  reasons jsonb NOT NULL DEFAULT '[]'::jsonb,
+  actor_type character varying,
+  actor_id uuid,
+  actor_name character varying,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT student_promotions_pkey PRIMARY KEY (id),
+  CONSTRAINT student_promotions_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT student_promotions_outcome_check CHECK (outcome = ANY (ARRAY['promoted', 'held_back']))
+);
+CREATE INDEX idx_student_promotions_student ON public.student_promotions(student_id, created_at DESC);
+CREATE INDEX idx_student_promotions_batch ON public.student_promotions(batch_id);
+CREATE TABLE public.programme_requirements (
+  course character varying NOT NULL,
+  final_level character varying,
+  min_units integer NOT NULL DEFAULT 0 CHECK (min_units >= 0),
+  required_unit_codes text[] NOT NULL DEFAULT '{}',
+  max_fee_balance numeric NOT NULL DEFAULT 0 CHECK (max_fee_balance >= 0),
+  require_results boolean NOT NULL DEFAULT true,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_by character varying,
+  CONSTRAINT programme_requirements_pkey PRIMARY KEY (course)
+);
+CREATE UNIQUE INDEX idx_programme_requirements_course_lower ON public.programme_requirements(lower(course));
+CREATE TABLE public.profile_change_requests (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  changes jsonb NOT NULL,
+  previous jsonb NOT NULL,
+  reason text,
+  status character varying NOT NULL DEFAULT 'pending',
+  submitted_at timestamp with time zone NOT NULL DEFAULT now(),
+  reviewed_at timestamp with time zone,
+  reviewed_by uuid,
+  reviewer_name character varying,
+  review_comment text,
+  CONSTRAINT profile_change_requests_pkey PRIMARY KEY (id),
+  CONSTRAINT profile_change_requests_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT profile_change_requests_status_check CHECK (status = ANY (ARRAY['pending', 'approved', 'rejected', 'cancelled']))
+);
+CREATE UNIQUE INDEX idx_profile_change_requests_one_pending ON public.profile_change_requests(student_id) WHERE status = 'pending';
+CREATE INDEX idx_profile_change_requests_status ON public.profile_change_requests(status, submitted_at);
+CREATE INDEX idx_profile_change_requests_student_id ON public.profile_change_requests(student_id, submitted_at);
@@ -0,0 +1,43 @@
+// Smoke tests: the app loads and answers without a database.
+// Run with `npm test`.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let app;
+
+before(async () => {
+  // Listen on any free port and leave the leave-return scheduler off
+  process.env.PORT = '0';
+  process.env.VERCEL = '1';
+  process.env.JWT_SECRET ||= 'test-secret';
+  process.env.SUPABASE_URL ||= 'http://localhost:54321';
+  process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-key';
+  ({ app } = await import('../index.js'));
+});
+
+test('protected routes need a token', async () => {
+  const res = await app.request('/students');
+  assert.equal(res.status, 401);
+});
+
+test('uploaded documents need a token', async () => {
+  const res = await app.request('/uploads/results/CS-001-2024_1700000000000.pdf');
+  assert.equal(res.status, 401);
+});
+
+test('login bodies are validated before any lookup', async () => {
+  const malformed = await app.request('/auth/student-login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"registration_number":'
+  });
+  assert.equal(malformed.status, 400);
+
+  const missing = await app.request('/auth/admin-login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin' })
+  });
+  assert.equal(missing.status, 422);
+  assert.equal((await missing.json()).code, 'VALIDATION_ERROR');
+});
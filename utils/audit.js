@@ -0,0 +1,211 @@
+import { pool } from '../db.js';
+import { getClientIp } from './auth.js';
+import { isFormRequest } from './validation.js';
+import { logger } from './logger.js';
+
+// Audit trail of every successful mutation made with an admin or student token.
+//
+// The auditTrail() middleware runs after authorize(). For POST/PUT/PATCH/DELETE
+// requests it works out which students the request targets - from route params
+// (`:id`/`:studentId` under /students, `:regNumber`, the caller under /me)
+// or the JSON or form body (`student_id(s)`, `registration_number(s)`,
+// `registrationNumber`, `student_reg`) -
+// snapshots their rows before and after the handler runs, and writes one
+// audit_log row per student (or a single row when no student is involved).
+// Passwords, tokens and secrets are never written to the log.
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const SENSITIVE_KEY = /pass(word)?|token|secret|recovery/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Copy of a value with sensitive fields replaced
+export function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) ? '[REDACTED]' : redact(field);
+  }
+  return copy;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// Request body as a plain object. Form bodies keep their text fields; files
+// are recorded by name, type and size. Hono caches the parsed body, so the
+// handler can still read it.
+async function readBody(c) {
+  try {
+    if ((c.req.header('content-type') || '').includes('application/json')) {
+      return await c.req.json();
+    }
+    if (!isFormRequest(c)) return null;
+
+    const body = {};
+    for (const [key, value] of (await c.req.formData()).entries()) {
+      const field = typeof value === 'string'
+        ? value
+        : { file: value.name, type: value.type, size: value.size };
+      body[key] = key in body ? [].concat(body[key], field) : field;
+    }
+    return body;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Students a request acts on, as { ids, registrationNumbers }
+function resolveTargets(route, body, auth) {
+  const { path = '', params = {} } = route || {};
+  const ids = [];
+  const registrationNumbers = [];
+
+  if (typeof path === 'string' && path.startsWith('/students/')) {
+    ids.push(...toList(params.id), ...toList(params.studentId));
+  }
+  // Self-service routes act on the logged-in student
+  if (typeof path === 'string' && (path === '/me' || path.startsWith('/me/')) && auth.student_id) {
+    ids.push(auth.student_id);
+  }
+  registrationNumbers.push(...toList(params.regNumber));
+
+  if (body && typeof body === 'object') {
+    ids.push(...toList(body.student_id), ...toList(body.student_ids));
+    registrationNumbers.push(
+      ...toList(body.registration_number),
+      ...toList(body.registration_numbers),
+      ...toList(body.registrationNumber),
+      ...toList(body.student_reg)
+    );
+  }
+
+  return {
+    ids: [...new Set(ids)].filter((id) => UUID_PATTERN.test(id)),
+    registrationNumbers: [...new Set(registrationNumbers)]
+  };
+}
+
+// Current rows of the targeted students, keyed by id
+async function snapshotStudents(targets) {
+  if (targets.ids.length === 0 && targets.registrationNumbers.length === 0) {
+    return new Map();
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM students WHERE id = ANY($1::uuid[]) OR registration_number = ANY($2::text[])',
+    [targets.ids, targets.registrationNumbers]
+  );
+  return new Map(rows.map((row) => {
+    const { password, ...safeRow } = row;
+    return [row.id, safeRow];
+  }));
+}
+
+// Actor columns for the caller of a request
+export function actorFromAuth(auth) {
+  if (!auth) return { actor_type: null, actor_id: null, actor_name: null };
+  if (auth.role === 'admin') {
+    return { actor_type: 'admin', actor_id: auth.admin_id, actor_name: auth.username };
+  }
+  return { actor_type: 'student', actor_id: auth.student_id, actor_name: auth.registration_number };
+}
+
+// Write audit entries. Also used directly by jobs that change records without
+// a request (actor_type 'system').
+export async function recordAudit(entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) return;
+
+  const rows = list.map((entry) => ({
+    actor_type: entry.actor_type || 'system',
+    actor_id: entry.actor_id || null,
+    actor_name: entry.actor_name || null,
+    action: entry.action,
+    method: entry.method || null,
+    path: entry.path || null,
+    status_code: entry.status_code || null,
+    target_student_id: entry.target_student_id || null,
+    target_registration_number: entry.target_registration_number || null,
+    before_data: entry.before_data ? redact(entry.before_data) : null,
+    after_data: entry.after_data ? redact(entry.after_data) : null,
+    details: entry.details ? redact(entry.details) : null,
+    ip_address: entry.ip_address || null
+  }));
+
+  await pool.query(
+    `INSERT INTO audit_log (actor_type, actor_id, actor_name, action, method, path, status_code,
+       target_student_id, target_registration_number, before_data, after_data, details, ip_address)
+     SELECT actor_type, actor_id, actor_name, action, method, path, status_code,
+       target_student_id, target_registration_number, before_data, after_data, details, ip_address
+     FROM jsonb_to_recordset($1::jsonb) AS x(
+       actor_type text, actor_id uuid, actor_name text, action text, method text, path text,
+       status_code integer, target_student_id uuid, target_registration_number text,
+       before_data jsonb, after_data jsonb, details jsonb, ip_address text
+     )`,
+    [JSON.stringify(rows)]
+  );
+}
+
+export function auditTrail() {
+  return async (c, next) => {
+    const auth = c.get('auth');
+    if (!AUDITED_METHODS.includes(c.req.method) || !auth) {
+      return next();
+    }
+
+    const route = c.get('route');
+    const body = await readBody(c);
+    const targets = resolveTargets(route, body, auth);
+
+    let before = new Map();
+    try {
+      before = await snapshotStudents(targets);
+    } catch (error) {
+      logger.error('Audit snapshot failed', { path: c.req.path, error });
+    }
+
+    await next();
+
+    if (c.res.status >= 400) return;
+
+    try {
+      const after = await snapshotStudents({
+        ids: [...new Set([...targets.ids, ...before.keys()])],
+        registrationNumbers: targets.registrationNumbers
+      });
+
+      const base = {
+        ...actorFromAuth(auth),
+        action: `${c.req.method} ${typeof route?.path === 'string' ? route.path : c.req.path}`,
+        method: c.req.method,
+        path: c.req.path,
+        status_code: c.res.status,
+        details: body ? { body } : null,
+        ip_address: getClientIp(c)
+      };
+
+      const studentIds = [...new Set([...before.keys(), ...after.keys()])];
+      const entries = studentIds.length === 0
+        ? [base]
+        : studentIds.map((id) => {
+          const row = after.get(id) || before.get(id);
+          return {
+            ...base,
+            target_student_id: id,
+            target_registration_number: row.registration_number,
+            before_data: before.get(id) || null,
+            after_data: after.get(id) || null
+          };
+        });
+
+      await recordAudit(entries);
+    } catch (error) {
+      // Never fail the request because the audit write failed
+      logger.error('Failed to write audit log', { path: c.req.path, error });
+    }
+  };
+}
@@ -0,0 +1,287 @@
+import jwt from 'jsonwebtoken';
+import { getConnInfo } from '@hono/node-server/conninfo';
+import { pool } from '../db.js';
+import { routeAccess, DEFAULT_RULE, PUBLIC, ADMIN, STUDENT } from './routeAccess.js';
+import { hasPermission, permissionsForRole } from './permissions.js';
+import { isSessionActive } from './sessions.js';
+import { isTotpEnrollmentRequired } from './totp.js';
+import { READ_ONLY_STATUSES } from './studentStatus.js';
+
+// Access tokens are short-lived; clients renew them through /auth/refresh
+export function accessTokenTtlSeconds() {
+  return Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+}
+
+// Issue an admin access token bound to a session (utils/sessions.js)
+export function signAdminToken(admin, sessionId) {
+  return jwt.sign(
+    {
+      username: admin.username,
+      admin_id: admin.id,
+      type: ADMIN,
+      admin_role: admin.role,
+      permissions: permissionsForRole(admin.role),
+      must_change_password: admin.must_change_password || undefined,
+      must_enroll_totp: isTotpEnrollmentRequired(admin) || undefined,
+      sid: sessionId
+    },
+    process.env.SECRET_KEY,
+    { expiresIn: accessTokenTtlSeconds() }
+  );
+}
+
+// Short-lived token proving the password step of a 2FA admin login. It is not
+// an access token: roleFromToken() rejects it everywhere else.
+const TOTP_CHALLENGE = 'admin_2fa_challenge';
+
+export function signAdminTotpChallenge(admin) {
+  return jwt.sign({ type: TOTP_CHALLENGE, admin_id: admin.id }, process.env.SECRET_KEY, { expiresIn: '5m' });
+}
+
+// Returns the admin id of a valid challenge token, or null
+export function verifyAdminTotpChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.SECRET_KEY);
+    return decoded.type === TOTP_CHALLENGE ? decoded.admin_id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Issue a student access token bound to a session (utils/sessions.js).
+// Graduates get a read-only token.
+export function signStudentToken(student, sessionId) {
+  return jwt.sign(
+    {
+      registration_number: student.registration_number,
+      student_id: student.id,
+      type: STUDENT,
+      must_change_password: student.must_change_password || undefined,
+      read_only: READ_ONLY_STATUSES.includes(student.status) || undefined,
+      sid: sessionId
+    },
+    process.env.SECRET_KEY,
+    { expiresIn: accessTokenTtlSeconds() }
+  );
+}
+
+// Escape a literal path fragment for use inside a RegExp
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Turn a Hono-style path (`/students/:id/fees`, `/uploads/*`) into a matcher
+function compilePath(pattern) {
+  if (pattern instanceof RegExp) {
+    return { regex: pattern, keys: [] };
+  }
+
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.split('*').map(escapeRegExp).join('.*');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Precompile the path matchers of a rule table
+export function compileRules(rules) {
+  return rules.map((rule) => ({ ...rule, matcher: compilePath(rule.path) }));
+}
+
+// Find the first compiled rule matching the request and the params it captured
+export function matchRoute(rules, method, path) {
+  for (const rule of rules) {
+    if (rule.method !== method && !(rule.method === 'GET' && method === 'HEAD')) {
+      continue;
+    }
+
+    const match = rule.matcher.regex.exec(path);
+    if (!match) continue;
+
+    const params = {};
+    rule.matcher.keys.forEach((key, idx) => {
+      params[key] = safeDecode(match[idx + 1]);
+    });
+    return { rule, params };
+  }
+  return null;
+}
+
+// Read the bearer token from the Authorization header
+export function getBearerToken(c) {
+  const authHeader = c.req.header('authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7);
+}
+
+// Number of reverse proxies in front of the app (TRUSTED_PROXY_HOPS, default 0)
+export function trustedProxyHops(env = process.env) {
+  const hops = Number(env.TRUSTED_PROXY_HOPS);
+  return Number.isInteger(hops) && hops > 0 ? hops : 0;
+}
+
+// Address of the peer on the other end of the socket; null when the request
+// did not come through the Node server (e.g. app.request() in scripts)
+function connectionIp(c) {
+  try {
+    return getConnInfo(c).remote.address || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Client IP. Without trusted proxies this is the connection address, since
+// X-Forwarded-For is whatever the client sent. Behind N proxies each appends
+// the address it received the request from, so the client is the Nth entry
+// from the right; entries further left are client-supplied and ignored.
+export function getClientIp(c, { hops = trustedProxyHops() } = {}) {
+  if (hops > 0) {
+    const forwardedFor = (c.req.header('x-forwarded-for') || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (forwardedFor.length > 0) return forwardedFor[Math.max(0, forwardedFor.length - hops)];
+  }
+  return connectionIp(c);
+}
+
+// Work out which role a decoded token was issued for
+export function roleFromToken(decoded) {
+  if (decoded.type === ADMIN) return ADMIN;
+  if (decoded.type === STUDENT || (decoded.student_id && decoded.registration_number)) return STUDENT;
+  return null;
+}
+
+// Resolve the identifier an owner rule points at (route param, body field or
+// the uploaded file's document record)
+async function resolveOwnerValue(c, owner, params) {
+  if (owner.upload) {
+    const { rows } = await pool.query(
+      'SELECT registration_number FROM student_documents WHERE file_url = $1 LIMIT 1',
+      [c.req.path]
+    );
+    return rows[0]?.registration_number;
+  }
+
+  if (owner.body) {
+    try {
+      const body = await c.req.json();
+      return body?.[owner.body];
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  return params[owner.param];
+}
+
+// Authorization middleware: validates admin and student JWTs and enforces the
+// route-to-role map in utils/routeAccess.js, including admin permissions.
+// Tokens whose session has been revoked (logout, deregistration, deleted
+// admin) are rejected. The decoded token is exposed to handlers as
+// c.get('auth'), and the matched route-map path and params as c.get('route').
+export function authorize(rules = routeAccess) {
+  const compiled = compileRules(rules);
+
+  return async (c, next) => {
+    const matched = matchRoute(compiled, c.req.method, c.req.path);
+    const rule = matched?.rule || DEFAULT_RULE;
+    const params = matched?.params || {};
+    c.set('route', { path: matched ? rule.path : c.req.path, params });
+
+    if (rule.roles.includes(PUBLIC)) {
+      return next();
+    }
+
+    const token = getBearerToken(c);
+    if (!token) {
+      return c.json({ error: 'Authentication required', details: 'No token provided' }, 401);
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.SECRET_KEY);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return c.json({ error: 'Token expired' }, 401);
+      }
+      return c.json({ error: 'Invalid token' }, 401);
+    }
+
+    const role = roleFromToken(decoded);
+    if (!role) {
+      return c.json({ error: 'Invalid token type' }, 401);
+    }
+
+    // Tokens issued before sessions existed carry no sid and simply expire
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return c.json({ error: 'Session revoked', details: 'Please log in again' }, 401);
+    }
+
+    if (!rule.roles.includes(role)) {
+      return c.json({
+        error: 'Forbidden',
+        details: 'Your account is not allowed to access this resource'
+      }, 403);
+    }
+
+    if (decoded.must_change_password && !rule.allowPendingPasswordChange) {
+      return c.json({
+        error: 'Password change required',
+        details: 'You must change your password before continuing'
+      }, 403);
+    }
+
+    if (decoded.must_enroll_totp && !rule.allowPendingTotpEnrollment) {
+      return c.json({
+        error: 'Two-factor enrollment required',
+        details: 'You must set up two-factor authentication before continuing'
+      }, 403);
+    }
+
+    if (decoded.read_only && !['GET', 'HEAD'].includes(c.req.method) && !rule.allowReadOnly) {
+      return c.json({
+        error: 'Read-only account',
+        details: 'Graduates can view their records but not change them'
+      }, 403);
+    }
+
+    if (role === ADMIN && !hasPermission(decoded.admin_role, rule.permission)) {
+      return c.json({
+        error: 'Forbidden',
+        details: 'Your admin role does not have permission to perform this action'
+      }, 403);
+    }
+
+    if (role === STUDENT && rule.owner) {
+      const value = await resolveOwnerValue(c, rule.owner, params);
+      if (!value || String(value) !== String(decoded[rule.owner.claim])) {
+        return c.json({
+          error: 'Forbidden',
+          details: 'Students can only access their own records'
+        }, 403);
+      }
+    }
+
+    c.set('auth', { ...decoded, role });
+    return next();
+  };
+}
@@ -1,14 +1,22 @@
 import { pool } from '../db.js';
 import bcrypt from 'bcryptjs';
 import dotenv from 'dotenv';
+import { ADMIN_ROLES, SUPER_ADMIN, isAdminRole } from './permissions.js';
+import { DEFAULT_ADMIN_PASSWORD } from './passwords.js';
 dotenv.config();
 
 async function createAdminUser() {
   const username = process.argv[2] || 'admin';
-  const password = process.argv[3] || 'admin123';
+  const password = process.argv[3] || DEFAULT_ADMIN_PASSWORD;
+  const role = process.argv[4] || SUPER_ADMIN;
 
   if (!username || !password) {
-    console.error('Usage: node createAdminUser.js [username] [password]');
+    console.error('Usage: node createAdminUser.js [username] [password] [role]');
+    process.exit(1);
+  }
+
+  if (!isAdminRole(role)) {
+    console.error(`Invalid role '${role}'. Valid roles: ${ADMIN_ROLES.join(', ')}`);
     process.exit(1);
   }
 
@@ -26,11 +34,11 @@ async function createAdminUser() {
     
     // Insert the admin user
     await pool.query(
-      'INSERT INTO admins (username, password_hash) VALUES ($1, $2) RETURNING id',
-      [username, passwordHash]
+      'INSERT INTO admins (username, password_hash, role, must_change_password) VALUES ($1, $2, $3, $4) RETURNING id',
+      [username, passwordHash, role, password === DEFAULT_ADMIN_PASSWORD]
     );
 
-    console.log(`Admin user '${username}' created successfully!`);
+    console.log(`Admin user '${username}' created successfully with role '${role}'!`);
     process.exit(0);
   } catch (error) {
     console.error('Error creating admin user:', error);
@@ -0,0 +1,175 @@
+import { HTTPException } from 'hono/http-exception';
+import { logger } from './logger.js';
+
+// Application errors and the shared error response envelope.
+//
+// Every error response has the shape
+//   { error: 'Human readable message', code: 'NOT_FOUND', details?, request_id }
+// where `request_id` matches the X-Request-Id response header and the server
+// logs. In production, 5xx responses never include details or stack traces.
+//
+// Handlers can throw the typed errors below; app.onError (handleError) turns
+// them into the envelope. Responses built with c.json() are normalised by the
+// errorEnvelope() middleware, so older handlers get the same shape.
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', details) {
+    super(message, { status: 401, code: 'UNAUTHORIZED', details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', details) {
+    super(message, { status: 403, code: 'FORBIDDEN', details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', details) {
+    super(message, { status: 404, code: 'NOT_FOUND', details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', details) {
+    super(message, { status: 409, code: 'CONFLICT', details });
+  }
+}
+
+// Default code for responses that do not carry one
+const CODES_BY_STATUS = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'VALIDATION_ERROR',
+  423: 'LOCKED',
+  428: 'PRECONDITION_REQUIRED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+export function codeForStatus(status) {
+  return CODES_BY_STATUS[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+export function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+// Remove what clients must not see; 5xx details only leave development machines
+function sanitize(body, status) {
+  const { stack, ...rest } = body;
+  if (process.env.NODE_ENV === 'development' && stack) {
+    rest.stack = stack;
+  }
+  if (status >= 500 && isProduction()) {
+    delete rest.details;
+  }
+  return rest;
+}
+
+// Build an error envelope for the current request
+export function errorBody(c, status, { error, code, details, stack } = {}) {
+  return sanitize({
+    error: error || 'Internal Server Error',
+    code: code || codeForStatus(status),
+    details,
+    request_id: c.get('requestId'),
+    stack
+  }, status);
+}
+
+// Postgres errors caused by bad input rather than a server fault
+function fromDatabaseError(err) {
+  if (err.code === '23505') return new ConflictError('Duplicate record', err.detail);
+  if (err.code === '23503') return new ConflictError('Record is still referenced or refers to a missing record', err.detail);
+  if (err.code === '22P02') return new ValidationError('Invalid identifier or value format');
+  return null;
+}
+
+// app.onError handler
+export function handleError(err, c) {
+  const appError = err instanceof AppError ? err : fromDatabaseError(err);
+
+  // Thrown by Hono itself, e.g. hono/validator on a malformed JSON body
+  if (err instanceof HTTPException && err.status < 500) {
+    return c.json(errorBody(c, err.status, { error: err.message }), err.status);
+  }
+
+  if (appError) {
+    return c.json(errorBody(c, appError.status, {
+      error: appError.message,
+      code: appError.code,
+      details: appError.details
+    }), appError.status);
+  }
+
+  logger.error('Unhandled error', { method: c.req.method, path: c.req.path, error: err });
+  return c.json(errorBody(c, 500, {
+    error: 'Internal Server Error',
+    details: err.message,
+    stack: err.stack
+  }), 500);
+}
+
+// app.notFound handler
+export function handleNotFound(c) {
+  return c.json(errorBody(c, 404, {
+    error: 'Not found',
+    details: `No route for ${c.req.method} ${c.req.path}`
+  }), 404);
+}
+
+// Give every JSON error response the envelope: add `code` and `request_id`,
+// drop stack traces and, in production, 5xx details.
+export function errorEnvelope() {
+  return async (c, next) => {
+    await next();
+
+    const status = c.res.status;
+    if (status < 400 || !(c.res.headers.get('content-type') || '').includes('application/json')) {
+      return;
+    }
+
+    let body;
+    try {
+      body = await c.res.clone().json();
+    } catch (e) {
+      return;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return;
+
+    const normalized = sanitize({
+      ...body,
+      error: typeof body.error === 'string' ? body.error : body.message || 'Request failed',
+      code: typeof body.code === 'string' && /^[A-Z_]+$/.test(body.code) ? body.code : codeForStatus(status),
+      request_id: c.get('requestId')
+    }, status);
+
+    c.res = c.json(normalized, status);
+  };
+}
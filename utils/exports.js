@@ -0,0 +1,217 @@
+import { sql } from '../db.js';
+import { string, list, validateBody } from './validation.js';
+import { errorBody } from './errors.js';
+import { logger } from './logger.js';
+import { STUDENT_COLUMNS, studentFilterSchema, studentFilterCheck, studentFilters } from './studentQuery.js';
+import { csvChunks, xlsxChunks } from './spreadsheet.js';
+
+// Streaming exports of students and their records (GET /exports/:dataset).
+//
+//   GET /exports/students?course=Nursing&status=active&format=xlsx
+//   GET /exports/fees?intake_year=2024&fields=registration_number,fee_balance
+//
+// Datasets: students, fees, allocated-units and results. Every dataset takes
+// the student filters of GET /students (rows follow the student they belong
+// to), `fields` to pick and order columns, and `format` csv (default), xlsx
+// or json. Rows are read with a database cursor EXPORT_BATCH_SIZE at a time
+// and written to the response as they arrive, so the size of an export does
+// not change the memory it needs.
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  json: { contentType: 'application/json; charset=utf-8' }
+};
+
+export const EXPORT_BATCH_SIZE = 500;
+
+// Dates as YYYY-MM-DD text rather than midnight timestamps
+const DATE_COLUMNS = ['date_of_birth', 'academic_leave_start', 'academic_leave_end', 'deregistration_date'];
+
+// Student columns repeated on every related record
+const STUDENT_REFERENCE = {
+  student_id: 's.id',
+  registration_number: 's.registration_number',
+  student_name: 's.name',
+  course: 's.course',
+  level_of_study: 's.level_of_study',
+  student_status: 's.status'
+};
+
+// Export column -> SQL expression, per dataset. `numeric` lists the columns
+// postgres returns as numeric strings, which CSV and XLSX write as numbers.
+export const EXPORT_DATASETS = {
+  students: {
+    from: 'students s',
+    columns: Object.fromEntries(STUDENT_COLUMNS.map((column) => [
+      column,
+      DATE_COLUMNS.includes(column) ? `s.${column}::text` : `s.${column}`
+    ])),
+    orderBy: 's.registration_number'
+  },
+  fees: {
+    from: 'fees f JOIN students s ON s.id = f.student_id',
+    columns: {
+      ...STUDENT_REFERENCE,
+      fee_id: 'f.id',
+      semester_fee: 'f.semester_fee',
+      total_paid: 'f.total_paid',
+      fee_balance: 'f.fee_balance'
+    },
+    numeric: ['semester_fee', 'total_paid', 'fee_balance'],
+    orderBy: 's.registration_number, f.id'
+  },
+  'allocated-units': {
+    from: 'allocated_units a JOIN students s ON s.id = a.student_id JOIN units u ON a.unit_id = u.id',
+    columns: {
+      ...STUDENT_REFERENCE,
+      allocation_id: 'a.id',
+      unit_code: 'u.unit_code',
+      unit_name: 'u.unit_name',
+      semester: 'a.semester',
+      academic_year: 'a.academic_year',
+      allocation_status: 'a.status',
+      allocated_at: 'a.allocated_at',
+      notes: 'a.notes'
+    },
+    orderBy: 's.registration_number, a.academic_year, a.semester, u.unit_code'
+  },
+  results: {
+    from: 'results r JOIN students s ON s.id = r.student_id',
+    columns: {
+      ...STUDENT_REFERENCE,
+      result_id: 'r.id',
+      semester: 'r.semester',
+      result_data: 'r.result_data',
+      created_at: 'r.created_at'
+    },
+    orderBy: 's.registration_number, r.semester, r.created_at'
+  }
+};
+
+const validators = Object.fromEntries(Object.entries(EXPORT_DATASETS).map(([name, dataset]) => [
+  name,
+  validateBody({
+    ...studentFilterSchema,
+    fields: list(string({ oneOf: Object.keys(dataset.columns) })),
+    format: string({ oneOf: Object.keys(EXPORT_FORMATS), default: 'csv' })
+  }, { target: 'query', check: studentFilterCheck })
+]));
+
+// Query validation for GET /exports/:dataset; fields depend on the dataset
+export function validateExportQuery() {
+  return (c, next) => {
+    const dataset = c.req.param('dataset');
+    if (!validators[dataset]) {
+      return c.json(errorBody(c, 404, {
+        error: 'Unknown export',
+        details: `Exports: ${Object.keys(EXPORT_DATASETS).join(', ')}`
+      }), 404);
+    }
+    return validators[dataset](c, next);
+  };
+}
+
+// SELECT for a dataset and validated query, as { text, params, fields }
+export function exportQuery(name, query) {
+  const dataset = EXPORT_DATASETS[name];
+  const fields = query.fields?.length ? query.fields : Object.keys(dataset.columns);
+  const { conditions, params } = studentFilters(query, { alias: 's' });
+
+  return {
+    text: `SELECT ${fields.map((field) => `${dataset.columns[field]} AS ${field}`).join(', ')}
+      FROM ${dataset.from}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${dataset.orderBy}`,
+    params,
+    fields
+  };
+}
+
+// CSV/XLSX cell for a column value: numbers stay numbers, everything else
+// becomes text
+function cellValue(value, numeric) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value;
+  if (typeof value === 'bigint') return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+  if (numeric && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+async function* jsonChunks(batches) {
+  let first = true;
+  yield '[';
+  for await (const batch of batches) {
+    for (const row of batch) {
+      yield `${first ? '' : ','}\n${JSON.stringify(row)}`;
+      first = false;
+    }
+  }
+  yield '\n]\n';
+}
+
+// Readable stream over an async iterator of strings or bytes
+function toReadableStream(iterator, { onCancel }) {
+  const encoder = new TextEncoder();
+  let cancelled = false;
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (cancelled) return;
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(typeof value === 'string' ? encoder.encode(value) : value);
+        }
+      } catch (error) {
+        logger.error('Export failed while streaming', { error });
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      cancelled = true;
+      await iterator.return?.();
+      await onCancel();
+    }
+  });
+}
+
+// Stream an export as the response body
+export async function exportResponse(c, name, query, { db = sql } = {}) {
+  const { text, params, fields } = exportQuery(name, query);
+  const format = query.format;
+  const numeric = fields.map((field) => EXPORT_DATASETS[name].numeric?.includes(field) || false);
+
+  // Read the first batch now so query errors answer 500 before the response starts
+  const cursor = db.unsafe(text, params).cursor(EXPORT_BATCH_SIZE)[Symbol.asyncIterator]();
+  const firstBatch = await cursor.next();
+
+  async function* rowBatches() {
+    try {
+      for (let batch = firstBatch; !batch.done; batch = await cursor.next()) {
+        const rows = batch.value;
+        yield format === 'json' ? rows : rows.map((row) => fields.map((field, index) => cellValue(row[field], numeric[index])));
+      }
+    } finally {
+      await cursor.return?.();
+    }
+  }
+
+  let chunks;
+  if (format === 'xlsx') chunks = xlsxChunks(fields, rowBatches(), { sheetName: name });
+  else if (format === 'json') chunks = jsonChunks(rowBatches());
+  else chunks = csvChunks(fields, rowBatches());
+
+  const filename = `${name}-${new Date().toISOString().split('T')[0]}.${format}`;
+  c.header('Content-Type', EXPORT_FORMATS[format].contentType);
+  c.header('Content-Disposition', `attachment; filename="${filename}"`);
+  c.header('Cache-Control', 'no-store');
+  // A client that goes away stops the cursor and frees its connection
+  return c.body(toReadableStream(chunks, { onCancel: () => cursor.return?.() }));
+}
@@ -0,0 +1,177 @@
+import { pool } from '../db.js';
+import { AppError, NotFoundError } from './errors.js';
+import { changeStudentStatus } from './studentStatus.js';
+
+// Graduation (POST /students/:id/graduate) and what changes for graduates.
+//
+// Each course has programme_requirements, maintained by the registry under
+// /programme-requirements:
+//
+//   final_level          level of study the student must have reached
+//   min_units            registered units needed over the programme
+//   required_unit_codes  units the student must have registered
+//   max_fee_balance      highest outstanding balance in `fees` (default 0)
+//   require_results      at least one results record (default true)
+//
+// graduationCheck() compares an active student with the requirements of their
+// course; graduateStudent() refuses while any check fails, then moves the
+// student to `graduated` with the graduation date, award and classification.
+//
+// Graduates are frozen: units can no longer be allocated or registered for
+// them and fee statements are no longer issued (assertNotGraduated()), though
+// receipts for late payments still are. Their portal login stays, read-only
+// (READ_ONLY_STATUSES in utils/studentStatus.js), for transcripts and documents.
+
+export class GraduatedStudentError extends AppError {
+  constructor(action) {
+    super(`Student has graduated; ${action} is no longer possible`, { status: 409, code: 'STUDENT_GRADUATED' });
+  }
+}
+
+// Throw for a graduated student. `student` is a row with `status`, or null
+// (the route reports a missing student itself).
+export function assertNotGraduated(student, action) {
+  if (student?.status === 'graduated') throw new GraduatedStudentError(action);
+}
+
+// assertNotGraduated() for a student known by `{ id }` or `{ registrationNumber }`
+export async function checkNotGraduated(target, action, { db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT status FROM students WHERE ${target.id ? 'id' : 'registration_number'} = $1 AND deleted_at IS NULL`,
+    [target.id || target.registrationNumber]
+  );
+  assertNotGraduated(rows[0], action);
+}
+
+// ---- Programme requirements ----
+
+const REQUIREMENT_COLUMNS = `course, final_level, min_units, required_unit_codes,
+  max_fee_balance::float AS max_fee_balance, require_results, updated_at, updated_by`;
+
+export async function listProgrammeRequirements({ db = pool } = {}) {
+  const { rows } = await db.query(`SELECT ${REQUIREMENT_COLUMNS} FROM programme_requirements ORDER BY course`);
+  return rows;
+}
+
+export async function getProgrammeRequirements(course, { db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT ${REQUIREMENT_COLUMNS} FROM programme_requirements WHERE lower(course) = lower($1)`,
+    [course]
+  );
+  return rows[0] || null;
+}
+
+// Create or replace the requirements of a course. Returns { requirements, created }.
+export async function saveProgrammeRequirements(course, values, { actor = {}, db = pool } = {}) {
+  const existing = await getProgrammeRequirements(course, { db });
+  const { rows } = await db.query(
+    `INSERT INTO programme_requirements
+       (course, final_level, min_units, required_unit_codes, max_fee_balance, require_results, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (course) DO UPDATE SET
+       final_level = EXCLUDED.final_level,
+       min_units = EXCLUDED.min_units,
+       required_unit_codes = EXCLUDED.required_unit_codes,
+       max_fee_balance = EXCLUDED.max_fee_balance,
+       require_results = EXCLUDED.require_results,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = now()
+     RETURNING ${REQUIREMENT_COLUMNS}`,
+    [
+      // Keep the spelling already stored so the case-insensitive index matches
+      existing?.course || course,
+      values.final_level ?? null,
+      values.min_units ?? 0,
+      values.required_unit_codes ?? [],
+      values.max_fee_balance ?? 0,
+      values.require_results ?? true,
+      actor.actor_name || null
+    ]
+  );
+  return { requirements: rows[0], created: !existing };
+}
+
+// ---- Completion check ----
+
+function check(code, met, message) {
+  return { code, met, message };
+}
+
+// Where a student stands against their programme requirements:
+// { student, requirements, checks: [{ code, met, message }], eligible }
+export async function graduationCheck(studentId, { db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT s.id, s.registration_number, s.name, s.course, s.level_of_study, s.status,
+       (SELECT COALESCE(SUM(f.fee_balance), 0) FROM fees f WHERE f.student_id = s.id)::float AS fee_balance,
+       (SELECT COUNT(*) FROM results r WHERE r.student_id = s.id)::int AS results,
+       ARRAY(SELECT DISTINCT u.unit_code FROM registered_units u WHERE u.student_id = s.id) AS unit_codes
+     FROM students s WHERE s.id = $1 AND s.deleted_at IS NULL`,
+    [studentId]
+  );
+  if (rows.length === 0) throw new NotFoundError('Student not found');
+
+  const { unit_codes: unitCodes, ...student } = rows[0];
+  const requirements = student.course ? await getProgrammeRequirements(student.course, { db }) : null;
+
+  const checks = [
+    check('STATUS', student.status === 'active', `Student is ${student.status}`)
+  ];
+  if (!requirements) {
+    checks.push(check('NO_REQUIREMENTS', false, `No programme requirements are set for ${student.course || 'this course'}`));
+  } else {
+    if (requirements.final_level) {
+      checks.push(check(
+        'FINAL_LEVEL',
+        (student.level_of_study || '').trim().toLowerCase() === requirements.final_level.trim().toLowerCase(),
+        `Level of study is ${student.level_of_study || 'not set'}; ${requirements.final_level} is required`
+      ));
+    }
+    checks.push(check(
+      'UNITS',
+      unitCodes.length >= requirements.min_units,
+      `${unitCodes.length} of ${requirements.min_units} units registered`
+    ));
+    const registered = new Set(unitCodes.map((code) => code.toUpperCase()));
+    const missing = requirements.required_unit_codes.filter((code) => !registered.has(code.toUpperCase()));
+    if (requirements.required_unit_codes.length > 0) {
+      checks.push(check(
+        'REQUIRED_UNITS',
+        missing.length === 0,
+        missing.length === 0 ? 'All required units registered' : `Required units not registered: ${missing.join(', ')}`
+      ));
+    }
+    checks.push(check(
+      'FEE_BALANCE',
+      student.fee_balance <= requirements.max_fee_balance,
+      `Fee balance ${student.fee_balance}; at most ${requirements.max_fee_balance} allowed`
+    ));
+    if (requirements.require_results) {
+      checks.push(check('RESULTS', student.results > 0, `${student.results} results on record`));
+    }
+  }
+
+  return { student, requirements, checks, eligible: checks.every((item) => item.met) };
+}
+
+// Graduate an active student who meets their programme requirements.
+// `graduation` is { graduation_date, award, classification }. Returns
+// { student, checks }; throws 409 GRADUATION_REQUIREMENTS_NOT_MET otherwise.
+export async function graduateStudent(studentId, graduation, { actor = {}, db = pool } = {}) {
+  const { checks, eligible } = await graduationCheck(studentId, { db });
+  if (!eligible) {
+    throw new AppError('Student does not meet the programme requirements for graduation', {
+      status: 409,
+      code: 'GRADUATION_REQUIREMENTS_NOT_MET',
+      details: { unmet: checks.filter((item) => !item.met) }
+    });
+  }
+
+  const { student } = await changeStudentStatus({ id: studentId }, 'graduated', {
+    reason: graduation.award,
+    effectiveFrom: graduation.graduation_date,
+    from: ['active'],
+    actor,
+    columns: { award: graduation.award, award_classification: graduation.classification || null }
+  });
+  return { student, checks };
+}
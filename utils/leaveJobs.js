@@ -0,0 +1,268 @@
+import { pool } from '../db.js';
+import { sendMail } from './mailer.js';
+import { recordAudit } from './audit.js';
+import { logger } from './logger.js';
+import { changeStudentStatus, StatusTransitionError } from './studentStatus.js';
+import { approvedLeaveStarting, startApprovedLeave } from './leaveRequests.js';
+
+// Academic leave jobs. runLeaveJobs() makes one pass:
+//
+//   starts     leave requests approved ahead of their start date put the
+//              student on leave from that date
+//   reminders  students whose leave ends within LEAVE_REMINDER_DAYS get one
+//              email about it
+//   returns    from the day after academic_leave_end, students still on leave
+//              become active again (status history and audit log record
+//              actor_type 'system')
+//   overdue    with LEAVE_AUTO_RETURN=false ended leaves are left alone and
+//              each one is recorded once as overdue instead
+//
+// Returns and overdue leaves are summarised to LEAVE_NOTIFY_EMAIL when it is
+// set. leave_notices remembers what was sent, so passes can repeat and overlap.
+//
+// startLeaveScheduler() runs a pass every LEAVE_JOBS_INTERVAL_MINUTES in the
+// web process. Where the process is not long-lived (Vercel), set the interval
+// to 0 and run `npm run leave-jobs` (run-leave-jobs.js) from cron instead.
+//
+// Env: LEAVE_AUTO_RETURN (default true), LEAVE_REMINDER_DAYS (default 14; 0
+// sends no reminders), LEAVE_JOBS_INTERVAL_MINUTES (default 60), LEAVE_NOTIFY_EMAIL
+
+export const SYSTEM_ACTOR = { actor_type: 'system', actor_name: 'leave-jobs' };
+
+function envNumber(value, fallback) {
+  return value === undefined || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value);
+}
+
+export function leaveJobsConfig(env = process.env) {
+  return {
+    autoReturn: env.LEAVE_AUTO_RETURN !== 'false',
+    reminderDays: envNumber(env.LEAVE_REMINDER_DAYS, 14),
+    intervalMinutes: envNumber(env.LEAVE_JOBS_INTERVAL_MINUTES, 60),
+    notifyEmail: env.LEAVE_NOTIFY_EMAIL || null
+  };
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().split('T')[0];
+}
+
+const ON_LEAVE_SELECT = `SELECT id, name, registration_number, email, academic_leave_end::text AS academic_leave_end
+  FROM students WHERE status = 'on_leave' AND deleted_at IS NULL`;
+
+// Record a notice once; false when an earlier pass already sent it. The
+// record is dropped again if the email fails, so the next pass retries.
+async function sendNoticeOnce(db, student, kind, message) {
+  const { rows } = await db.query(
+    `INSERT INTO leave_notices (student_id, kind, leave_end) VALUES ($1, $2, $3)
+     ON CONFLICT ON CONSTRAINT leave_notices_once DO NOTHING RETURNING id`,
+    [student.id, kind, student.academic_leave_end]
+  );
+  if (rows.length === 0) return false;
+  if (!message || !student.email) return true;
+
+  try {
+    await sendMail({ to: student.email, ...message });
+  } catch (error) {
+    await db.query('DELETE FROM leave_notices WHERE id = $1', [rows[0].id]);
+    throw error;
+  }
+  return true;
+}
+
+function reminderMail(student) {
+  return {
+    subject: `Your academic leave ends on ${student.academic_leave_end}`,
+    text: `Hello ${student.name},\n\n` +
+      `Your academic leave for ${student.registration_number} ends on ${student.academic_leave_end}. ` +
+      'Please contact the registry if you need to extend it; otherwise you will be returned to active status ' +
+      'the next day and should register your units.'
+  };
+}
+
+function returnedMail(student, returnDate) {
+  return {
+    subject: 'Welcome back: your academic leave has ended',
+    text: `Hello ${student.name},\n\n` +
+      `Your academic leave ended on ${student.academic_leave_end}, and ${student.registration_number} ` +
+      `is active again from ${returnDate}. Please log in to the student portal to register your units.`
+  };
+}
+
+function registrySummaryMail(to, { returned, overdue }) {
+  const lines = (students) => students.map((s) => `  ${s.registration_number}  ${s.name}  (leave ended ${s.academic_leave_end})`);
+  const sections = [];
+  if (returned.length > 0) sections.push(`Returned to active status:\n${lines(returned).join('\n')}`);
+  if (overdue.length > 0) sections.push(`Leave ended, still on leave (overdue):\n${lines(overdue).join('\n')}`);
+  return {
+    to,
+    subject: `Academic leave: ${returned.length} returned, ${overdue.length} overdue`,
+    text: sections.join('\n\n')
+  };
+}
+
+async function startLeave(request) {
+  let student;
+  try {
+    student = await startApprovedLeave(request, { actor: SYSTEM_ACTOR });
+  } catch (error) {
+    // The student's status changed since the approval (deregistered, say);
+    // the leave no longer applies
+    if (error instanceof StatusTransitionError) return false;
+    throw error;
+  }
+  if (!student) return false;
+
+  await recordAudit({
+    ...SYSTEM_ACTOR,
+    action: 'leave.start',
+    target_student_id: request.student_id,
+    target_registration_number: request.registration_number,
+    after_data: student,
+    details: { leave_request_id: request.id, start_date: request.start_date, end_date: request.end_date }
+  });
+  return true;
+}
+
+async function returnFromLeave(db, student) {
+  const returnDate = addDays(student.academic_leave_end, 1);
+  let returned;
+  try {
+    ({ student: returned } = await changeStudentStatus({ id: student.id }, 'active', {
+      reason: 'Academic leave ended',
+      effectiveFrom: returnDate,
+      from: ['on_leave'],
+      actor: SYSTEM_ACTOR
+    }));
+  } catch (error) {
+    // Another pass (or an admin) changed the status first
+    if (error instanceof StatusTransitionError) return false;
+    throw error;
+  }
+
+  await recordAudit({
+    ...SYSTEM_ACTOR,
+    action: 'leave.auto_return',
+    target_student_id: student.id,
+    target_registration_number: student.registration_number,
+    before_data: { status: 'on_leave', academic_leave_end: student.academic_leave_end },
+    after_data: returned,
+    details: { effective_from: returnDate }
+  });
+  await sendNoticeOnce(db, student, 'returned', returnedMail(student, returnDate));
+  return true;
+}
+
+async function flagOverdue(db, student) {
+  if (!(await sendNoticeOnce(db, student, 'overdue', null))) return false;
+  await recordAudit({
+    ...SYSTEM_ACTOR,
+    action: 'leave.overdue',
+    target_student_id: student.id,
+    target_registration_number: student.registration_number,
+    details: { academic_leave_end: student.academic_leave_end }
+  });
+  return true;
+}
+
+function summarize(student) {
+  const { id, name, registration_number, academic_leave_end } = student;
+  return { id, name, registration_number, academic_leave_end };
+}
+
+// One pass of the jobs. A failure for one student is logged and reported
+// under `failed` without stopping the others.
+export async function runLeaveJobs({ date = today(), env = process.env, db = pool } = {}) {
+  const config = leaveJobsConfig(env);
+  const result = { date, started: [], reminded: [], returned: [], overdue: [], failed: [] };
+
+  async function each(students, job, list) {
+    for (const student of students) {
+      try {
+        if (await job(student)) result[list].push(summarize(student));
+      } catch (error) {
+        logger.error('Leave job failed for student', { job: list, student_id: student.id, error });
+        result.failed.push({ ...summarize(student), job: list, error: error.message });
+      }
+    }
+  }
+
+  // Requests are reported like the students they belong to
+  const starting = (await approvedLeaveStarting(date, { db })).map((request) => ({
+    id: request.student_id,
+    name: request.student_name,
+    registration_number: request.registration_number,
+    academic_leave_end: request.end_date,
+    request
+  }));
+  await each(starting, (student) => startLeave(student.request), 'started');
+
+  if (config.reminderDays > 0) {
+    const { rows } = await db.query(
+      `${ON_LEAVE_SELECT} AND academic_leave_end BETWEEN $1 AND $2 ORDER BY academic_leave_end`,
+      [date, addDays(date, config.reminderDays)]
+    );
+    await each(rows, (student) => sendNoticeOnce(db, student, 'reminder', reminderMail(student)), 'reminded');
+  }
+
+  const { rows: ended } = await db.query(
+    `${ON_LEAVE_SELECT} AND academic_leave_end < $1 ORDER BY academic_leave_end`,
+    [date]
+  );
+  if (config.autoReturn) {
+    await each(ended, (student) => returnFromLeave(db, student), 'returned');
+  } else {
+    await each(ended, (student) => flagOverdue(db, student), 'overdue');
+  }
+
+  if (config.notifyEmail && (result.returned.length > 0 || result.overdue.length > 0)) {
+    try {
+      await sendMail(registrySummaryMail(config.notifyEmail, result));
+    } catch (error) {
+      logger.error('Failed to send the academic leave summary', { error });
+    }
+  }
+
+  logger.info('Leave jobs finished', {
+    date,
+    started: result.started.length,
+    reminded: result.reminded.length,
+    returned: result.returned.length,
+    overdue: result.overdue.length,
+    failed: result.failed.length
+  });
+  return result;
+}
+
+// Run the jobs shortly after startup and then every LEAVE_JOBS_INTERVAL_MINUTES.
+// Returns a function that stops the scheduler, or null when it is turned off.
+export function startLeaveScheduler({ env = process.env } = {}) {
+  const { intervalMinutes } = leaveJobsConfig(env);
+  if (!(intervalMinutes > 0)) return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runLeaveJobs({ env });
+    } catch (error) {
+      logger.error('Leave jobs failed', { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  // Timers never keep the process alive on their own
+  const first = setTimeout(tick, 30 * 1000).unref();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000).unref();
+  return () => {
+    clearTimeout(first);
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,155 @@
+import { pool, sql } from '../db.js';
+import { ConflictError, NotFoundError } from './errors.js';
+import { canTransition, changeStudentStatus, StatusTransitionError } from './studentStatus.js';
+import { createRequestQueue } from './requestQueue.js';
+import { STUDENT_COLUMNS } from './studentQuery.js';
+
+// Academic leave requested by students (POST /student/leave-requests) and
+// reviewed by admins (/leave-requests).
+//
+// A student may have one pending request at a time, and only while their
+// status allows leave. Admins approve or reject it with a comment; approval
+// puts the student on leave for the requested dates through
+// changeStudentStatus(), exactly as POST /students/:id/academic-leave does.
+// A request approved before its start date is started by the leave jobs
+// (utils/leaveJobs.js) on that date; started_at records when the student went
+// on leave. A student can withdraw a request until it is reviewed. The
+// student is emailed the decision. The queue itself is utils/requestQueue.js.
+
+const queue = createRequestQueue({
+  table: 'leave_requests',
+  columns: `r.id, r.student_id, s.registration_number, s.name AS student_name, s.course,
+    r.start_date::text AS start_date, r.end_date::text AS end_date, r.reason, r.document_id, r.document_url,
+    r.status, r.submitted_at, r.reviewed_at, r.reviewed_by, r.reviewer_name, r.review_comment, r.started_at`,
+  label: 'Leave request',
+  email: (request, student) => {
+    const approved = request.status === 'approved';
+    return {
+      subject: `Your academic leave request was ${approved ? 'approved' : 'not approved'}`,
+      text: `Hello ${student.name},\n\n` +
+        (approved
+          ? `Your academic leave from ${request.start_date} to ${request.end_date} has been approved.`
+          : `Your request for academic leave from ${request.start_date} to ${request.end_date} was not approved.`) +
+        (request.review_comment ? `\n\nComment from the registry: ${request.review_comment}` : '')
+    };
+  }
+});
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export const getLeaveRequest = queue.get;
+export const listLeaveRequests = queue.list;
+export const cancelLeaveRequest = queue.cancel;
+
+// Throws unless the student may submit a request now. Checked before the
+// supporting document is uploaded.
+export async function checkCanRequestLeave(studentId, { db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT s.status, r.id AS pending_id FROM students s
+     LEFT JOIN leave_requests r ON r.student_id = s.id AND r.status = 'pending'
+     WHERE s.id = $1 AND s.deleted_at IS NULL`,
+    [studentId]
+  );
+  if (rows.length === 0) throw new NotFoundError('Student not found');
+  if (rows[0].pending_id) {
+    throw new ConflictError('A leave request is already pending', { leave_request_id: rows[0].pending_id });
+  }
+  if (!canTransition(rows[0].status, 'on_leave')) throw new StatusTransitionError(rows[0].status, 'on_leave');
+}
+
+export async function submitLeaveRequest(studentId, { start_date, end_date, reason, document }, { db = pool } = {}) {
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO leave_requests (student_id, start_date, end_date, reason, document_id, document_url)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [studentId, start_date, end_date, reason, document?.id || null, document?.fileUrl || null]
+    );
+    return getLeaveRequest(rows[0].id, { db });
+  } catch (error) {
+    // Submitted twice at the same moment
+    if (error.code === '23505') throw new ConflictError('A leave request is already pending');
+    throw error;
+  }
+}
+
+// Put the student of an approved request on leave, within transaction
+// `txSql`; null when the request was started already
+async function startLeave(txSql, request, actor) {
+  const [claimed] = await txSql`
+    UPDATE leave_requests SET started_at = now()
+    WHERE id = ${request.id} AND status = 'approved' AND started_at IS NULL
+    RETURNING id
+  `;
+  if (!claimed) return null;
+
+  const { student } = await changeStudentStatus({ id: request.student_id }, 'on_leave', {
+    reason: request.reason,
+    effectiveFrom: request.start_date,
+    effectiveTo: request.end_date,
+    actor,
+    db: txSql
+  });
+  return student;
+}
+
+// Approve a pending request. The claim and the status change share one
+// transaction, so two reviewers cannot both act on it and a request whose
+// student cannot go on leave stays pending. A request that starts later only
+// has the status checked now; the student is returned as they are.
+export async function approveLeaveRequest(id, { comment, actor = {} } = {}, { db = pool } = {}) {
+  const request = await queue.pending(id, { db });
+
+  const student = await sql.begin(async (txSql) => {
+    const [claimed] = await txSql`
+      UPDATE leave_requests SET status = 'approved', review_comment = ${comment ?? null}, reviewed_at = now(),
+        reviewed_by = ${actor.actor_id || null}, reviewer_name = ${actor.actor_name || null}
+      WHERE id = ${id} AND status = 'pending'
+      RETURNING id
+    `;
+    if (!claimed) throw new ConflictError('Leave request was reviewed by someone else');
+
+    if (request.start_date <= today()) {
+      return startLeave(txSql, request, actor);
+    }
+
+    const [current] = await txSql`
+      SELECT ${txSql(STUDENT_COLUMNS)} FROM students WHERE id = ${request.student_id} AND deleted_at IS NULL
+    `;
+    if (!current) throw new NotFoundError('Student not found');
+    if (!canTransition(current.status, 'on_leave')) throw new StatusTransitionError(current.status, 'on_leave');
+    return current;
+  });
+
+  const approved = await queue.get(id, { db });
+  await queue.notify(approved, { db });
+  return { request: approved, student };
+}
+
+// Approved requests due to start by `date` that have not started yet.
+// Requests that ended before `date` are left alone.
+export async function approvedLeaveStarting(date, { db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT r.id, r.student_id, s.registration_number, s.name AS student_name, s.email,
+       r.start_date::text AS start_date, r.end_date::text AS end_date, r.reason
+     FROM leave_requests r JOIN students s ON s.id = r.student_id
+     WHERE r.status = 'approved' AND r.started_at IS NULL AND r.start_date <= $1 AND r.end_date >= $1
+       AND s.deleted_at IS NULL
+     ORDER BY r.start_date, r.id`,
+    [date]
+  );
+  return rows;
+}
+
+// Start the leave of an approved request on its start date; the student, or
+// null when another pass started it first
+export function startApprovedLeave(request, { actor = {} } = {}) {
+  return sql.begin((txSql) => startLeave(txSql, request, actor));
+}
+
+export async function rejectLeaveRequest(id, { comment, actor = {} } = {}, { db = pool } = {}) {
+  const rejected = await queue.review(id, 'rejected', { comment, actor, db });
+  await queue.notify(rejected, { db });
+  return rejected;
+}
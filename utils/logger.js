@@ -0,0 +1,135 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import util from 'util';
+
+// Structured JSON logging.
+//
+// Every line is one JSON object: { time, level, msg, request_id?, ...fields }.
+// The request id (and whether the request is sampled) travels with the request
+// through AsyncLocalStorage, so database query logs carry it too.
+//
+//   LOG_LEVEL        debug | info | warn | error (default: info in production,
+//                    debug elsewhere)
+//   LOG_SAMPLE_RATE  share of requests, 0-1, whose debug/info lines are kept
+//                    (default 1). Warnings and errors are always written.
+//
+// Passwords, tokens, secrets, national IDs and birth certificate numbers are
+// redacted from every field, and bearer tokens/JWTs from every message.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SENSITIVE_KEY = /authorization|cookie|pass(word)?|token|secret|recovery|national_id|birth_certificate|^code$/i;
+const BEARER_PATTERN = /Bearer\s+[\w\-.~+/]+=*/gi;
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+
+const requestStorage = new AsyncLocalStorage();
+
+function configuredLevel() {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  if (LEVELS[level]) return LEVELS[level];
+  return process.env.NODE_ENV === 'production' ? LEVELS.info : LEVELS.debug;
+}
+
+function sampleRate() {
+  const rate = Number(process.env.LOG_SAMPLE_RATE);
+  return Number.isFinite(rate) && process.env.LOG_SAMPLE_RATE !== '' ? Math.min(Math.max(rate, 0), 1) : 1;
+}
+
+function redactString(text) {
+  return text.replace(BEARER_PATTERN, 'Bearer [REDACTED]').replace(JWT_PATTERN, '[REDACTED_JWT]');
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message)),
+    code: error.code,
+    stack: error.stack
+  };
+}
+
+// Copy of a value safe to write to the logs
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth > 5) return '[Object]';
+  if (value instanceof Headers) return redact(Object.fromEntries(value.entries()), depth);
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) ? '[REDACTED]' : redact(field, depth + 1);
+  }
+  return copy;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < configuredLevel()) return;
+
+  const context = requestStorage.getStore();
+  if (context && !context.sampled && LEVELS[level] < LEVELS.warn) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    request_id: context?.requestId,
+    ...redact(fields)
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Id of the request being handled, if any
+export function currentRequestId() {
+  return requestStorage.getStore()?.requestId;
+}
+
+// Logs one line per request and makes the request id available to every log
+// written while it is handled. Must run after hono/request-id.
+export function requestLogger() {
+  return async (c, next) => {
+    const context = {
+      requestId: c.get('requestId'),
+      sampled: Math.random() < sampleRate()
+    };
+    const startedAt = Date.now();
+
+    await requestStorage.run(context, next);
+
+    const status = c.res.status;
+    const auth = c.get('auth');
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    requestStorage.run(context, () => write(level, 'request completed', {
+      method: c.req.method,
+      path: c.req.path,
+      status,
+      duration_ms: Date.now() - startedAt,
+      origin: c.req.header('origin'),
+      actor: auth ? `${auth.role}:${auth.admin_id || auth.student_id}` : undefined
+    }));
+  };
+}
+
+// Route console.log/info/warn/error/debug through the logger so the existing
+// log statements come out as redacted JSON lines with the request id. This
+// replaces the global console, so only the server entry point calls it, unless
+// LOG_CAPTURE_CONSOLE=false.
+export function captureConsole() {
+  const levels = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+  for (const [method, level] of Object.entries(levels)) {
+    console[method] = (...args) => {
+      const errors = args.filter((arg) => arg instanceof Error);
+      const msg = util.format(...args.map((arg) => (arg instanceof Error ? arg.message : redact(arg))));
+      write(level, msg, errors.length > 0 ? { error: errors[0] } : {});
+    };
+  }
+}
@@ -0,0 +1,203 @@
+import { pool } from '../db.js';
+import { logger } from './logger.js';
+
+// Brute-force protection for the login routes.
+//
+// Failed attempts are counted per account (`student:<registration_number>`,
+// `admin:<username>`) and per client IP (`ip:<address>`). After the second
+// failure an account must wait an exponentially growing delay before the next
+// attempt; after LOGIN_MAX_ATTEMPTS failures it is locked for
+// LOGIN_LOCKOUT_MINUTES. IPs are only locked, at the higher
+// LOGIN_IP_MAX_ATTEMPTS threshold, because many students share a campus IP.
+// The IP comes from getClientIp() in utils/auth.js, so a client cannot dodge
+// the IP count by sending a different X-Forwarded-For on every attempt.
+//
+// The store is picked with LOGIN_THROTTLE_STORE:
+//   memory   - per-process Map (default; fine for a single server)
+//   postgres - login_attempts table, shared by every instance (serverless)
+// Every store exposes `get(key)`, `increment(key, windowStart)`,
+// `lock(key, until)` and `reset(key)`, working on records shaped like
+// `{ failures, first_failure_at, last_failure_at, locked_until }`.
+
+const MEMORY_STORE_PRUNE_SIZE = 10000;
+
+export function createMemoryStore() {
+  const records = new Map();
+
+  function isStale(record, windowStart, now) {
+    if (record.locked_until) return record.locked_until <= now;
+    return record.first_failure_at < windowStart;
+  }
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return records.get(key) || null;
+    },
+    async increment(key, windowStart) {
+      const now = new Date();
+      let record = records.get(key);
+
+      if (!record || isStale(record, windowStart, now)) {
+        record = { failures: 0, first_failure_at: now, last_failure_at: now, locked_until: null };
+      }
+      record.failures += 1;
+      record.last_failure_at = now;
+      records.set(key, record);
+
+      if (records.size > MEMORY_STORE_PRUNE_SIZE) {
+        for (const [otherKey, other] of records) {
+          if (isStale(other, windowStart, now)) records.delete(otherKey);
+        }
+      }
+      return record;
+    },
+    async lock(key, until) {
+      const record = records.get(key);
+      if (record) record.locked_until = until;
+    },
+    async reset(key) {
+      records.delete(key);
+    }
+  };
+}
+
+// A record is stale once its lock expired or, if never locked, its window ($2) passed
+const STALE_SQL = `(CASE WHEN login_attempts.locked_until IS NOT NULL
+                      THEN login_attempts.locked_until <= now()
+                      ELSE login_attempts.first_failure_at < $2 END)`;
+
+export function createPostgresStore(db = pool) {
+  return {
+    name: 'postgres',
+    async get(key) {
+      const { rows } = await db.query('SELECT * FROM login_attempts WHERE key = $1', [key]);
+      return rows[0] || null;
+    },
+    async increment(key, windowStart) {
+      // Start a fresh count once the window has passed or an old lock expired
+      const { rows } = await db.query(
+        `INSERT INTO login_attempts (key, failures, first_failure_at, last_failure_at)
+         VALUES ($1, 1, now(), now())
+         ON CONFLICT (key) DO UPDATE SET
+           failures = CASE WHEN ${STALE_SQL} THEN 1 ELSE login_attempts.failures + 1 END,
+           first_failure_at = CASE WHEN ${STALE_SQL} THEN now() ELSE login_attempts.first_failure_at END,
+           locked_until = CASE WHEN ${STALE_SQL} THEN NULL ELSE login_attempts.locked_until END,
+           last_failure_at = now()
+         RETURNING *`,
+        [key, windowStart]
+      );
+      return rows[0];
+    },
+    async lock(key, until) {
+      await db.query('UPDATE login_attempts SET locked_until = $2 WHERE key = $1', [key, until]);
+    },
+    async reset(key) {
+      await db.query('DELETE FROM login_attempts WHERE key = $1', [key]);
+    }
+  };
+}
+
+export function createLoginThrottle({
+  store = createMemoryStore(),
+  maxAttempts = 5,
+  ipMaxAttempts = 50,
+  windowMs = 15 * 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  baseDelayMs = 1000,
+  maxDelayMs = 30 * 1000
+} = {}) {
+  // Wait required after `failures` consecutive failures: 0, 0, 1s, 2s, 4s, ...
+  function delayFor(failures) {
+    if (failures < 2) return 0;
+    return Math.min(baseDelayMs * 2 ** (failures - 2), maxDelayMs);
+  }
+
+  // `ip` is only missing for requests that did not arrive over a socket
+  function keysFor({ account, ip }) {
+    const keys = [{ key: account, limit: maxAttempts, progressive: true }];
+    if (ip) keys.push({ key: `ip:${ip}`, limit: ipMaxAttempts, progressive: false });
+    return keys;
+  }
+
+  return {
+    store,
+
+    // Returns null when the attempt may proceed, otherwise the seconds to wait
+    async check(target) {
+      const now = Date.now();
+      let waitMs = 0;
+
+      for (const { key, progressive } of keysFor(target)) {
+        const record = await store.get(key);
+        if (!record) continue;
+
+        const lockedUntil = record.locked_until ? new Date(record.locked_until).getTime() : 0;
+        if (lockedUntil > now) {
+          waitMs = Math.max(waitMs, lockedUntil - now);
+        } else if (progressive && !lockedUntil && new Date(record.first_failure_at).getTime() >= now - windowMs) {
+          const nextAllowed = new Date(record.last_failure_at).getTime() + delayFor(record.failures);
+          waitMs = Math.max(waitMs, nextAllowed - now);
+        }
+      }
+
+      return waitMs > 0 ? { retryAfterSeconds: Math.ceil(waitMs / 1000) } : null;
+    },
+
+    async recordFailure(target) {
+      const windowStart = new Date(Date.now() - windowMs);
+
+      for (const { key, limit } of keysFor(target)) {
+        const record = await store.increment(key, windowStart);
+        if (record.failures >= limit) {
+          logger.warn('Login locked after repeated failures', { key, failures: record.failures });
+          await store.lock(key, new Date(Date.now() + lockoutMs));
+        }
+      }
+    },
+
+    // A correct password clears the account's failures but not the IP's,
+    // so one valid account cannot be used to keep guessing others
+    async recordSuccess(target) {
+      await store.reset(target.account);
+    },
+
+    async unlock(account) {
+      await store.reset(account);
+    }
+  };
+}
+
+export function createLoginThrottleFromEnv(env = process.env) {
+  const storeName = env.LOGIN_THROTTLE_STORE || 'memory';
+  let store;
+
+  switch (storeName) {
+    case 'memory':
+      store = createMemoryStore();
+      break;
+    case 'postgres':
+      store = createPostgresStore();
+      break;
+    default:
+      throw new Error(`Unknown LOGIN_THROTTLE_STORE '${storeName}'`);
+  }
+
+  const lockoutMinutes = Number(env.LOGIN_LOCKOUT_MINUTES) || 15;
+  return createLoginThrottle({
+    store,
+    maxAttempts: Number(env.LOGIN_MAX_ATTEMPTS) || 5,
+    ipMaxAttempts: Number(env.LOGIN_IP_MAX_ATTEMPTS) || 50,
+    windowMs: lockoutMinutes * 60 * 1000,
+    lockoutMs: lockoutMinutes * 60 * 1000
+  });
+}
+
+// Throttle keys for an account
+export function studentLoginKey(registrationNumber) {
+  return `student:${String(registrationNumber).trim()}`;
+}
+
+export function adminLoginKey(username) {
+  return `admin:${String(username).trim()}`;
+}
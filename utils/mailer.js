@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pluggable outgoing mail. The transport is picked with MAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (nodemailer)
+//   file    - write each message as JSON into MAIL_OUTBOX_DIR (local development)
+//   console - log who each message is for (default when nothing is configured);
+//             bodies carry reset links and are only printed with
+//             MAIL_CONSOLE_SHOW_BODY=true, for local development
+// Every transport exposes `send({ to, subject, text, html })`.
+
+function createConsoleTransport({ showBody = false } = {}) {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('Outgoing email (console transport):', {
+        to: message.to,
+        subject: message.subject,
+        ...(showBody ? { text: message.text } : {})
+      });
+      return { delivered: false, transport: 'console' };
+    }
+  };
+}
+
+function createFileTransport(outboxDir) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}_${String(message.to).replace(/[^\w.@-]/g, '_')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+      console.log(`Email to ${message.to} written to ${filePath}`);
+      return { delivered: true, transport: 'file', filePath };
+    }
+  };
+}
+
+function createSmtpTransport(options) {
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        transporter = nodemailer.createTransport(options);
+      }
+      const info = await transporter.sendMail({ from: process.env.MAIL_FROM, ...message });
+      return { delivered: true, transport: 'smtp', messageId: info.messageId };
+    }
+  };
+}
+
+export function createMailTransport(env = process.env) {
+  const transport = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (transport) {
+    case 'smtp':
+      if (!env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+      }
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+      });
+    case 'file':
+      return createFileTransport(env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox'));
+    case 'console':
+      return createConsoleTransport({ showBody: env.MAIL_CONSOLE_SHOW_BODY === 'true' });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT '${transport}'`);
+  }
+}
+
+let defaultTransport = null;
+
+// Send through the transport configured in the environment
+export async function sendMail(message) {
+  defaultTransport = defaultTransport || createMailTransport();
+  return defaultTransport.send(message);
+}
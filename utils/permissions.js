@@ -0,0 +1,50 @@
+// Admin roles and the permissions each one grants.
+//
+// The role is stored in admins.role and embedded in the admin JWT as
+// `admin_role` (with the resolved `permissions` list for the frontend).
+// Routes declare the permission they need in utils/routeAccess.js.
+
+export const SUPER_ADMIN = 'super_admin';
+export const REGISTRAR = 'registrar';
+export const FINANCE_OFFICER = 'finance_officer';
+export const EXAMS_OFFICER = 'exams_officer';
+
+export const ADMIN_ROLES = [SUPER_ADMIN, REGISTRAR, FINANCE_OFFICER, EXAMS_OFFICER];
+
+// Granted only to super admins; also guards routes missing from the route map
+export const ALL_PERMISSIONS = '*';
+
+export const PERMISSIONS = {
+  STUDENTS_READ: 'students:read',
+  STUDENTS_WRITE: 'students:write',
+  UNITS_WRITE: 'units:write',
+  FINANCE_WRITE: 'finance:write',
+  EXAMS_WRITE: 'exams:write',
+  ADMINS_MANAGE: 'admins:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+// Every role can look students up so it can find who it is acting on;
+// mutations are limited to the role's own area.
+const ROLE_PERMISSIONS = {
+  [SUPER_ADMIN]: [ALL_PERMISSIONS],
+  [REGISTRAR]: [PERMISSIONS.STUDENTS_READ, PERMISSIONS.STUDENTS_WRITE, PERMISSIONS.UNITS_WRITE],
+  [FINANCE_OFFICER]: [PERMISSIONS.STUDENTS_READ, PERMISSIONS.FINANCE_WRITE],
+  [EXAMS_OFFICER]: [PERMISSIONS.STUDENTS_READ, PERMISSIONS.EXAMS_WRITE]
+};
+
+export function isAdminRole(role) {
+  return ADMIN_ROLES.includes(role);
+}
+
+export function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// Tokens issued before roles existed carry no admin_role; those admins were
+// all migrated to super_admin, so treat them the same way.
+export function hasPermission(adminRole, permission) {
+  if (!permission) return true;
+  const granted = permissionsForRole(adminRole || SUPER_ADMIN);
+  return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+}
@@ -0,0 +1,102 @@
+import { pool, sql } from '../db.js';
+import { ConflictError, NotFoundError } from './errors.js';
+import { STUDENT_COLUMNS } from './studentQuery.js';
+import { createRequestQueue } from './requestQueue.js';
+
+// Changes to admin-locked details (name, national ID, course) requested by
+// students (POST /me/change-requests) and reviewed by admins
+// (/profile-change-requests). Students edit their contact details directly
+// with PATCH /me.
+//
+// A student may have one pending request at a time. `previous` records the
+// values the request would replace, so reviewers see both sides. Approval
+// writes the changes to the student in the same transaction as the review;
+// the student is emailed the decision and can withdraw a request until then.
+// The queue itself is utils/requestQueue.js.
+
+const queue = createRequestQueue({
+  table: 'profile_change_requests',
+  columns: `r.id, r.student_id, s.registration_number, s.name AS student_name,
+    r.changes, r.previous, r.reason, r.status, r.submitted_at, r.reviewed_at, r.reviewed_by,
+    r.reviewer_name, r.review_comment`,
+  label: 'Change request',
+  email: (request, student) => {
+    const approved = request.status === 'approved';
+    const fields = Object.keys(request.changes).map((field) => field.replace(/_/g, ' ')).join(', ');
+    return {
+      subject: `Your request to change your ${fields} was ${approved ? 'approved' : 'not approved'}`,
+      text: `Hello ${student.name},\n\n` +
+        (approved
+          ? `Your student record has been updated with the new ${fields}.`
+          : `Your request to change your ${fields} was not approved.`) +
+        (request.review_comment ? `\n\nComment from the registry: ${request.review_comment}` : '')
+    };
+  }
+});
+
+export const getChangeRequest = queue.get;
+export const listChangeRequests = queue.list;
+export const cancelChangeRequest = queue.cancel;
+
+// `changes` holds the locked fields to change; fields already holding the
+// requested value are left out
+export async function submitChangeRequest(studentId, changes, { reason = null, db = pool } = {}) {
+  const fields = Object.keys(changes);
+  const { rows: studentRows } = await db.query(
+    `SELECT ${fields.join(', ')} FROM students WHERE id = $1 AND deleted_at IS NULL`,
+    [studentId]
+  );
+  if (studentRows.length === 0) throw new NotFoundError('Student not found');
+
+  const current = studentRows[0];
+  const changed = fields.filter((field) => changes[field] !== current[field]);
+  if (changed.length === 0) throw new ConflictError('Nothing to change; the details already have these values');
+
+  const pick = (source) => Object.fromEntries(changed.map((field) => [field, source[field] ?? null]));
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO profile_change_requests (student_id, changes, previous, reason)
+       VALUES ($1, $2::jsonb, $3::jsonb, $4) RETURNING id`,
+      [studentId, JSON.stringify(pick(changes)), JSON.stringify(pick(current)), reason]
+    );
+    return getChangeRequest(rows[0].id, { db });
+  } catch (error) {
+    // One pending request per student
+    if (error.code === '23505') throw new ConflictError('A change request is already pending');
+    throw error;
+  }
+}
+
+// Approve a pending request and apply it to the student record, both in one
+// transaction
+export async function approveChangeRequest(id, { comment = null, actor = {} } = {}, { db = pool } = {}) {
+  const request = await queue.pending(id, { db });
+
+  const student = await sql.begin(async (txSql) => {
+    const [claimed] = await txSql`
+      UPDATE profile_change_requests SET status = 'approved', review_comment = ${comment}, reviewed_at = now(),
+        reviewed_by = ${actor.actor_id || null}, reviewer_name = ${actor.actor_name || null}
+      WHERE id = ${id} AND status = 'pending'
+      RETURNING id
+    `;
+    if (!claimed) throw new ConflictError('Change request was reviewed by someone else');
+
+    const [updated] = await txSql`
+      UPDATE students SET ${txSql(request.changes, Object.keys(request.changes))}
+      WHERE id = ${request.student_id} AND deleted_at IS NULL
+      RETURNING ${txSql(STUDENT_COLUMNS)}
+    `;
+    if (!updated) throw new NotFoundError('Student not found');
+    return updated;
+  });
+
+  const approved = await queue.get(id, { db });
+  await queue.notify(approved, { db });
+  return { request: approved, student };
+}
+
+export async function rejectChangeRequest(id, { comment, actor = {} } = {}, { db = pool } = {}) {
+  const rejected = await queue.review(id, 'rejected', { comment, actor, db });
+  await queue.notify(rejected, { db });
+  return rejected;
+}
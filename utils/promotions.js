@@ -0,0 +1,214 @@
+import { randomUUID } from 'crypto';
+import { pool, sql } from '../db.js';
+import { ConflictError, NotFoundError } from './errors.js';
+import { assertNotGraduated } from './graduation.js';
+import { STUDENT_COLUMNS, studentFilters } from './studentQuery.js';
+
+// Promoting a cohort (course + current level + intake year) to the next level
+// of study (POST /students/promotions).
+//
+// Every enrolled student in the cohort is checked before being promoted:
+//
+//   status       must be active; students on leave or suspended stay behind
+//   fee_balance  outstanding balance in `fees` at most max_fee_balance
+//                (PROMOTION_MAX_FEE_BALANCE, default 0)
+//   units        at least one registered unit (require_registered_units)
+//   results      at least one results record since the student's last
+//                promotion, or ever if they have none (require_results)
+//
+// registered_units rows carry no level, year or date, so the units check
+// counts every unit the student has ever registered; the report says so in
+// `rules.registered_units_scope`.
+//
+// A dry run reports who would be promoted and who held back, and why. A real
+// run re-checks the cohort with the rows locked, promotes the eligible
+// students in one transaction and writes a student_promotions row for every
+// student considered, under one batch_id (null when nobody was considered).
+
+// Students still enrolled; graduated, deregistered and deceased students are
+// not part of a cohort any more
+const ENROLLED_STATUSES = ['active', 'on_leave', 'suspended'];
+
+export function promotionRules(options = {}, env = process.env) {
+  const envBalance = Number(env.PROMOTION_MAX_FEE_BALANCE);
+  return {
+    maxFeeBalance: options.max_fee_balance ??
+      (env.PROMOTION_MAX_FEE_BALANCE && Number.isFinite(envBalance) ? envBalance : 0),
+    requireUnits: options.require_registered_units ?? true,
+    requireResults: options.require_results ?? true
+  };
+}
+
+function cohortQuery({ course, level_of_study, intake_year }) {
+  const { conditions, params } = studentFilters(
+    { course, level_of_study, intake_year, status: ENROLLED_STATUSES },
+    { alias: 's' }
+  );
+  return {
+    text: `SELECT s.id, s.registration_number, s.name, s.course, s.level_of_study, s.status,
+         (SELECT COALESCE(SUM(f.fee_balance), 0) FROM fees f WHERE f.student_id = s.id)::float AS fee_balance,
+         (SELECT COUNT(*) FROM registered_units u WHERE u.student_id = s.id)::int AS registered_units,
+         (SELECT COUNT(*) FROM results r WHERE r.student_id = s.id AND r.created_at > COALESCE(
+           (SELECT MAX(p.created_at) FROM student_promotions p WHERE p.student_id = s.id AND p.outcome = 'promoted'),
+           '-infinity'))::int AS results
+       FROM students s
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY s.registration_number`,
+    params
+  };
+}
+
+// Why a student cannot be promoted; empty when they can
+export function holdBackReasons(student, rules) {
+  const reasons = [];
+  if (student.status !== 'active') {
+    reasons.push({ code: 'NOT_ACTIVE', message: `Student is ${student.status}` });
+  }
+  if (student.fee_balance > rules.maxFeeBalance) {
+    reasons.push({
+      code: 'FEE_BALANCE',
+      message: `Fee balance ${student.fee_balance} is above the allowed ${rules.maxFeeBalance}`
+    });
+  }
+  if (rules.requireUnits && student.registered_units === 0) {
+    reasons.push({ code: 'NO_REGISTERED_UNITS', message: 'No registered units' });
+  }
+  if (rules.requireResults && student.results === 0) {
+    reasons.push({ code: 'NO_RESULTS', message: 'No results since the last promotion' });
+  }
+  return reasons;
+}
+
+function assess(students, rules) {
+  const promoted = [];
+  const heldBack = [];
+  for (const student of students) {
+    const reasons = holdBackReasons(student, rules);
+    if (reasons.length === 0) promoted.push(student);
+    else heldBack.push({ ...student, reasons });
+  }
+  return { promoted, heldBack };
+}
+
+function report({ cohort, newLevel, rules, dryRun, batchId = null }, { promoted, heldBack }) {
+  return {
+    dry_run: dryRun,
+    batch_id: batchId,
+    cohort,
+    new_level: newLevel,
+    rules: {
+      max_fee_balance: rules.maxFeeBalance,
+      require_registered_units: rules.requireUnits,
+      registered_units_scope: 'all_time',
+      require_results: rules.requireResults,
+      results_scope: 'since_last_promotion'
+    },
+    summary: {
+      considered: promoted.length + heldBack.length,
+      promoted: promoted.length,
+      held_back: heldBack.length
+    },
+    promoted,
+    held_back: heldBack
+  };
+}
+
+// Who would be promoted, without changing anything
+export async function previewPromotion(cohort, newLevel, { rules = promotionRules(), db = pool } = {}) {
+  const { text, params } = cohortQuery(cohort);
+  const { rows } = await db.query(text, params);
+  return report({ cohort, newLevel, rules, dryRun: true }, assess(rows, rules));
+}
+
+// Promote the eligible students of a cohort. `actor` is { actor_type,
+// actor_id, actor_name } as in the audit log.
+export async function promoteCohort(cohort, newLevel, { rules = promotionRules(), actor = {}, db = sql } = {}) {
+  const batchId = randomUUID();
+  const { text, params } = cohortQuery(cohort);
+
+  const outcome = await db.begin(async (txSql) => {
+    // Lock the cohort so its levels cannot change between the checks and the update
+    const students = await txSql.unsafe(`${text} FOR UPDATE OF s`, params);
+    const assessed = assess(students, rules);
+    if (students.length === 0) return assessed;
+
+    if (assessed.promoted.length > 0) {
+      await txSql`
+        UPDATE students SET level_of_study = ${newLevel}
+        WHERE id = ANY(${assessed.promoted.map((student) => student.id)}::uuid[])
+      `;
+    }
+
+    const history = [
+      ...assessed.promoted.map((student) => ({ student, outcome: 'promoted', reasons: [] })),
+      ...assessed.heldBack.map((student) => ({ student, outcome: 'held_back', reasons: student.reasons }))
+    ].map(({ student, outcome, reasons }) => ({
+      batch_id: batchId,
+      student_id: student.id,
+      course: student.course,
+      from_level: student.level_of_study,
+      to_level: newLevel,
+      outcome,
+      reasons: txSql.json(reasons),
+      actor_type: actor.actor_type || null,
+      actor_id: actor.actor_id || null,
+      actor_name: actor.actor_name || null
+    }));
+    await txSql`INSERT INTO student_promotions ${txSql(history)}`;
+
+    return assessed;
+  });
+
+  const considered = outcome.promoted.length + outcome.heldBack.length;
+  return report({ cohort, newLevel, rules, dryRun: false, batchId: considered > 0 ? batchId : null }, outcome);
+}
+
+// Set one student's level without the cohort checks (POST /students/promote),
+// still recording it in the promotion history. Only enrolled students can be
+// promoted; graduates answer 409 STUDENT_GRADUATED.
+export async function promoteStudent(registrationNumber, newLevel, { actor = {}, db = sql } = {}) {
+  return db.begin(async (txSql) => {
+    const [current] = await txSql`
+      SELECT id, course, level_of_study, status FROM students
+      WHERE registration_number = ${registrationNumber} AND deleted_at IS NULL
+      FOR UPDATE
+    `;
+    if (!current) throw new NotFoundError('Student not found', `No student found with registration number: ${registrationNumber}`);
+    assertNotGraduated(current, 'promotion');
+    if (!ENROLLED_STATUSES.includes(current.status)) {
+      throw new ConflictError(`Student is ${current.status} and cannot be promoted`, { status: current.status });
+    }
+
+    const [student] = await txSql`
+      UPDATE students SET level_of_study = ${newLevel}
+      WHERE id = ${current.id} AND status = ANY(${ENROLLED_STATUSES}::text[])
+      RETURNING ${txSql(STUDENT_COLUMNS)}
+    `;
+    await txSql`
+      INSERT INTO student_promotions ${txSql({
+        batch_id: randomUUID(),
+        student_id: current.id,
+        course: current.course,
+        from_level: current.level_of_study,
+        to_level: newLevel,
+        outcome: 'promoted',
+        actor_type: actor.actor_type || null,
+        actor_id: actor.actor_id || null,
+        actor_name: actor.actor_name || null
+      })}
+    `;
+    return student;
+  });
+}
+
+// Promotion history of one student, newest first
+export async function promotionHistory(studentId, { db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT id, batch_id, course, from_level, to_level, outcome, reasons,
+       actor_type, actor_id, actor_name, created_at
+     FROM student_promotions WHERE student_id = $1
+     ORDER BY created_at DESC, id`,
+    [studentId]
+  );
+  return rows;
+}
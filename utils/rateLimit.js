@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { pool } from '../db.js';
+import { compileRules, matchRoute, getBearerToken, getClientIp, roleFromToken } from './auth.js';
+import { logger } from './logger.js';
+
+// Request rate limiting in front of every route.
+//
+// Each client gets a token bucket per budget: the bucket holds up to `limit`
+// requests and refills at `limit` per `windowSeconds`. Requests are charged to
+// the authenticated user when the bearer token verifies, otherwise to the
+// client IP. Login and password routes are always charged to the IP; a campus
+// network or a proxy without TRUSTED_PROXY_HOPS puts many users behind one
+// address, so that budget is sized for a crowd and the login throttle does the
+// per-account limiting. Token refresh and logout are charged to the session.
+//
+// Budgets (override with RATE_LIMIT_<NAME>=<limit>/<windowSeconds>):
+//   auth    - logins, 2FA, forgot and reset password       100/60
+//   session - token refresh and logout                      20/60
+//   upload  - multipart document and photo uploads          20/600
+//   read    - every other GET                               300/60
+//   write   - every other mutation                           60/60
+//
+// The store is picked with RATE_LIMIT_STORE (memory or postgres), like the
+// login throttle; RATE_LIMIT_ENABLED=false turns limiting off. Every store
+// exposes `take(key, { limit, refillPerSecond })`, returning
+// `{ allowed, tokens }` after charging one request.
+
+export const DEFAULT_BUDGETS = {
+  auth: { limit: 100, windowSeconds: 60, keyBy: 'ip' },
+  session: { limit: 20, windowSeconds: 60, keyBy: 'session' },
+  upload: { limit: 20, windowSeconds: 600 },
+  read: { limit: 300, windowSeconds: 60 },
+  write: { limit: 60, windowSeconds: 60 }
+};
+
+// Routes with their own budget; anything else is `read` (GET) or `write`
+export const budgetRoutes = [
+  { method: 'POST', path: '/auth/student-login', budget: 'auth' },
+  { method: 'POST', path: '/auth/admin-login', budget: 'auth' },
+  { method: 'POST', path: '/auth/admin-login/verify-2fa', budget: 'auth' },
+  { method: 'POST', path: '/student/auth/forgot-password', budget: 'auth' },
+  { method: 'POST', path: '/student/auth/reset-password', budget: 'auth' },
+  { method: 'POST', path: '/auth/refresh', budget: 'session' },
+  { method: 'POST', path: '/auth/logout', budget: 'session' },
+  { method: 'POST', path: '/auth/logout-all', budget: 'session' },
+
+  { method: 'POST', path: '/exam-card', budget: 'upload' },
+  { method: 'POST', path: '/exam-cards', budget: 'upload' },
+  { method: 'POST', path: '/exam-cards/:regNumber', budget: 'upload' },
+  { method: 'POST', path: '/fees-structure', budget: 'upload' },
+  { method: 'POST', path: '/fees-statement', budget: 'upload' },
+  { method: 'POST', path: '/fees-receipt', budget: 'upload' },
+  { method: 'POST', path: '/results', budget: 'upload' },
+  { method: 'POST', path: '/timetable', budget: 'upload' },
+  { method: 'POST', path: '/upload-timetable', budget: 'upload' },
+  { method: 'POST', path: '/students/:id/fee-statement', budget: 'upload' },
+  { method: 'POST', path: '/students/:id/fee-receipt', budget: 'upload' },
+  { method: 'POST', path: '/students/:id/upload-*', budget: 'upload' },
+  { method: 'POST', path: '/students/registration/:regNumber/upload-photo', budget: 'upload' }
+];
+
+function refilled(bucket, now) {
+  return Math.min(bucket.limit, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.refillPerSecond);
+}
+
+export function createMemoryStore({ maxKeys = 10000 } = {}) {
+  // Least recently charged first: every take moves its key to the end
+  const buckets = new Map();
+
+  return {
+    name: 'memory',
+    async take(key, { limit, refillPerSecond }) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+      const tokens = refilled({ ...bucket, limit, refillPerSecond }, now);
+      const allowed = tokens >= 1;
+
+      buckets.delete(key);
+      buckets.set(key, { tokens: allowed ? tokens - 1 : tokens, updatedAt: now, limit, refillPerSecond });
+
+      // Full buckets carry no information, and the oldest ones are the first to
+      // fill up, so drop from the front until one is still refilling. Past
+      // maxKeys the oldest go regardless; that client just starts afresh.
+      for (const [oldKey, old] of buckets) {
+        if (buckets.size <= maxKeys && refilled(old, now) < old.limit) break;
+        buckets.delete(oldKey);
+      }
+      return { allowed, tokens: allowed ? tokens - 1 : tokens };
+    }
+  };
+}
+
+// Bucket level after refilling since the last request ($2 = limit, $3 = refill/s)
+const REFILLED_SQL = `LEAST($2::float8, rate_limit_buckets.tokens
+  + EXTRACT(EPOCH FROM (now() - rate_limit_buckets.updated_at)) * $3::float8)`;
+
+export function createPostgresStore(db = pool) {
+  return {
+    name: 'postgres',
+    async take(key, { limit, refillPerSecond }) {
+      const { rows } = await db.query(
+        `INSERT INTO rate_limit_buckets (key, tokens, allowed, updated_at)
+         VALUES ($1, $2::float8 - 1, true, now())
+         ON CONFLICT (key) DO UPDATE SET
+           tokens = CASE WHEN ${REFILLED_SQL} >= 1 THEN ${REFILLED_SQL} - 1 ELSE ${REFILLED_SQL} END,
+           allowed = ${REFILLED_SQL} >= 1,
+           updated_at = now()
+         RETURNING tokens, allowed`,
+        [key, limit, refillPerSecond]
+      );
+      return { allowed: rows[0].allowed, tokens: Number(rows[0].tokens) };
+    }
+  };
+}
+
+// Parse "<limit>/<windowSeconds>", falling back to the default budget
+function parseBudget(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match) return fallback;
+  return { ...fallback, limit: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+export function budgetsFromEnv(env = process.env) {
+  const budgets = {};
+  for (const [name, budget] of Object.entries(DEFAULT_BUDGETS)) {
+    budgets[name] = parseBudget(env[`RATE_LIMIT_${name.toUpperCase()}`], budget);
+  }
+  return budgets;
+}
+
+// The refresh token in a JSON body, hashed like the sessions table stores it
+async function refreshTokenKey(c) {
+  try {
+    const { refresh_token: refreshToken } = await c.req.json();
+    if (typeof refreshToken !== 'string' || !refreshToken) return null;
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  } catch (e) {
+    // No JSON body; the route answers that itself
+    return null;
+  }
+}
+
+// Who a request is charged to: the session or the verified token's user,
+// else the client IP
+async function clientKey(c, budget) {
+  const ip = getClientIp(c) || 'unknown';
+  if (budget.keyBy === 'ip') return `ip:${ip}`;
+
+  const token = getBearerToken(c);
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.SECRET_KEY);
+      const role = roleFromToken(decoded);
+      if (budget.keyBy === 'session' && decoded.sid) return `session:${decoded.sid}`;
+      if (role) return `user:${role}:${decoded.admin_id || decoded.student_id}`;
+    } catch (e) {
+      // Invalid or expired token: fall back to the IP
+    }
+  }
+
+  if (budget.keyBy === 'session') {
+    const refreshKey = await refreshTokenKey(c);
+    if (refreshKey) return `refresh:${refreshKey}`;
+  }
+  return `ip:${ip}`;
+}
+
+export function rateLimit({
+  store = createMemoryStore(),
+  budgets = DEFAULT_BUDGETS,
+  routes = budgetRoutes
+} = {}) {
+  const compiled = compileRules(routes);
+
+  return async (c, next) => {
+    // CORS preflights are answered by the cors middleware and never limited
+    if (c.req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const matched = matchRoute(compiled, c.req.method, c.req.path);
+    const budgetName = matched?.rule.budget || (['GET', 'HEAD'].includes(c.req.method) ? 'read' : 'write');
+    const budget = budgets[budgetName];
+    const refillPerSecond = budget.limit / budget.windowSeconds;
+
+    let result;
+    try {
+      result = await store.take(`${budgetName}:${await clientKey(c, budget)}`, { limit: budget.limit, refillPerSecond });
+    } catch (error) {
+      // A broken store must not take the whole API down
+      logger.error('Rate limit store error', { store: store.name, error });
+      return next();
+    }
+
+    const remaining = Math.max(0, Math.floor(result.tokens));
+    const secondsUntilFull = Math.ceil((budget.limit - result.tokens) / refillPerSecond);
+    c.header('RateLimit-Policy', `${budget.limit};w=${budget.windowSeconds}`);
+    c.header('RateLimit-Limit', String(budget.limit));
+    c.header('RateLimit-Remaining', String(remaining));
+    c.header('RateLimit-Reset', String(Math.max(0, secondsUntilFull)));
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((1 - result.tokens) / refillPerSecond));
+      c.header('Retry-After', String(retryAfter));
+      return c.json({
+        error: 'Too many requests',
+        details: `Rate limit exceeded, try again in ${retryAfter} seconds`,
+        retry_after: retryAfter
+      }, 429);
+    }
+
+    return next();
+  };
+}
+
+export function rateLimitFromEnv(env = process.env) {
+  if (env.RATE_LIMIT_ENABLED === 'false') {
+    return (c, next) => next();
+  }
+
+  const storeName = env.RATE_LIMIT_STORE || 'memory';
+  let store;
+
+  switch (storeName) {
+    case 'memory':
+      store = createMemoryStore();
+      break;
+    case 'postgres':
+      store = createPostgresStore();
+      break;
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE '${storeName}'`);
+  }
+
+  return rateLimit({ store, budgets: budgetsFromEnv(env) });
+}
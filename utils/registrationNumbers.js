@@ -0,0 +1,172 @@
+import { getPath } from 'hono/utils/url';
+import { pool } from '../db.js';
+import { errorBody } from './errors.js';
+
+// Registration number format, parsing and the /students/registration/* lookup.
+//
+// REGISTRATION_NUMBER_FORMAT describes valid registration numbers with a
+// template such as COURSE/NNN/YYYY:
+//   COURSE  course code, 2-10 letters
+//   N       one serial digit per N
+//   YYYY    four-digit intake year (YY for two digits, read as 20YY)
+// Any other character must appear as written. Without a format, registration
+// numbers are letters and digits separated by `/` or `-` (STU001, CS/001/2024),
+// and those shaped like COURSE/NNN/YYYY are still parsed.
+//
+// Registration numbers contain slashes, so /students/registration/CS/001/2024/
+// deregister and /students/registration/CS%2F001%2F2024/deregister are the
+// same request: canonicalPath() rewrites the first into the second before
+// routing, so each action is a single `:regNumber` route.
+
+const TOKENS = {
+  COURSE: '(?<course>[A-Za-z]{2,10})',
+  YYYY: '(?<year>\\d{4})',
+  YY: '(?<year>\\d{2})'
+};
+
+const DEFAULT_PATTERN = /^(?:(?<course>[A-Za-z]{2,10})\/(?<serial>\d+)\/(?<year>\d{4})|[A-Za-z0-9]+(?:[/-][A-Za-z0-9]+)*)$/;
+const DEFAULT_EXAMPLE = 'CS/001/2024';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a template such as COURSE/NNN/YYYY into a RegExp with named groups
+export function compileFormat(template) {
+  const source = template.replace(/COURSE|N+|YYYY|YY|[\s\S]/g, (token) => {
+    if (TOKENS[token]) return TOKENS[token];
+    if (/^N+$/.test(token)) return `(?<serial>\\d{${token.length}})`;
+    return escapeRegExp(token);
+  });
+  return new RegExp(`^${source}$`);
+}
+
+let cached = { template: undefined };
+
+// Pattern and an example for error messages, from REGISTRATION_NUMBER_FORMAT
+export function registrationNumberFormat(env = process.env) {
+  const template = env.REGISTRATION_NUMBER_FORMAT || null;
+  if (cached.template !== template) {
+    cached = template
+      ? { template, pattern: compileFormat(template), example: template }
+      : { template, pattern: DEFAULT_PATTERN, example: DEFAULT_EXAMPLE };
+  }
+  return cached;
+}
+
+export function isValidRegistrationNumber(value) {
+  return typeof value === 'string' && registrationNumberFormat().pattern.test(value.trim());
+}
+
+// Course code, serial and intake year encoded in a registration number, or
+// null when it does not match the configured format
+export function parseRegistrationNumber(value) {
+  if (typeof value !== 'string') return null;
+  const match = registrationNumberFormat().pattern.exec(value.trim());
+  if (!match) return null;
+
+  const { course, serial, year } = match.groups || {};
+  let intakeYear = null;
+  if (year) {
+    intakeYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+  }
+
+  return {
+    registration_number: value.trim(),
+    course_code: course ? course.toUpperCase() : null,
+    serial: serial || null,
+    intake_year: intakeYear
+  };
+}
+
+// PostgreSQL regular expression matching registration numbers of one intake
+// year, or null when the format does not encode a year
+export function intakeYearSqlPattern(intakeYear, env = process.env) {
+  const year = String(intakeYear);
+  const { template } = registrationNumberFormat(env);
+  if (!template) return `^[A-Za-z]{2,10}/[0-9]+/${year}$`;
+  if (!/YY/.test(template)) return null;
+
+  const source = template.replace(/COURSE|N+|YYYY|YY|[\s\S]/g, (token) => {
+    if (token === 'COURSE') return '[A-Za-z]{2,10}';
+    if (token === 'YYYY') return year;
+    if (token === 'YY') return year.slice(-2);
+    if (/^N+$/.test(token)) return `[0-9]{${token.length}}`;
+    return escapeRegExp(token);
+  });
+  return `^${source}$`;
+}
+
+// Actions under /students/registration/:regNumber
+export const REGISTRATION_ACTIONS = [
+  'academic-leave',
+  'deregister',
+  'allocate-units',
+  'allocated-units',
+  'register-allocated-unit',
+  'upload-photo'
+];
+
+const REGISTRATION_PATH = new RegExp(
+  `^(/students?/registration/)(.+?)(/(?:${REGISTRATION_ACTIONS.join('|')}))?/?$`
+);
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Hono `getPath` option: route slashed registration numbers as one segment
+export function canonicalPath(request) {
+  const path = getPath(request);
+  const match = REGISTRATION_PATH.exec(path);
+  if (!match) return path;
+
+  const [, prefix, registrationNumber, action = ''] = match;
+  return prefix + encodeURIComponent(safeDecode(registrationNumber)) + action;
+}
+
+// Registration number in a canonical /student(s)/registration/... path
+export function registrationNumberFromPath(path) {
+  const segment = path.split('/')[3];
+  return segment ? safeDecode(segment) : null;
+}
+
+// Middleware for /students/registration/* (and /student/registration/*):
+// checks the registration number format and loads the student once. Handlers
+// read it with c.get('student'); c.get('registration') holds the parsed parts.
+export function resolveStudentByRegistration({ db = pool } = {}) {
+  return async (c, next) => {
+    const registrationNumber = registrationNumberFromPath(c.req.path);
+    const parsed = parseRegistrationNumber(registrationNumber);
+
+    if (!parsed) {
+      return c.json(errorBody(c, 422, {
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: [{
+          field: 'registration_number',
+          message: `must be a registration number such as ${registrationNumberFormat().example}`
+        }]
+      }), 422);
+    }
+
+    const { rows } = await db.query(
+      'SELECT * FROM students WHERE registration_number = $1 AND deleted_at IS NULL',
+      [parsed.registration_number]
+    );
+    if (rows.length === 0) {
+      return c.json({
+        error: 'Student not found',
+        details: `No student found with registration number: ${parsed.registration_number}`
+      }, 404);
+    }
+
+    c.set('student', rows[0]);
+    c.set('registration', parsed);
+    return next();
+  };
+}
@@ -0,0 +1,110 @@
+import { pool } from '../db.js';
+import { sendMail } from './mailer.js';
+import { ConflictError, NotFoundError } from './errors.js';
+import { logger } from './logger.js';
+
+// Review queue shared by the student requests admins work through: academic
+// leave (utils/leaveRequests.js) and profile changes
+// (utils/profileChangeRequests.js).
+//
+// Each request table has student_id, status (pending, approved, rejected or
+// cancelled), submitted_at and the review columns reviewed_at, reviewed_by,
+// reviewer_name and review_comment. createRequestQueue() returns the
+// operations both queues share: reading and listing requests, closing a
+// pending request so only one reviewer can act on it, withdrawal by the
+// student and emailing the decision. Approval itself stays with each module.
+//
+//   table    request table, read as `r` joined to `students s`
+//   columns  select list over `r` and `s`
+//   label    "Leave request", used in error messages
+//   email    (request, student) => { subject, text } for the decision email
+
+export function createRequestQueue({ table, columns, label, email }) {
+  const from = `${table} r JOIN students s ON s.id = r.student_id`;
+
+  async function get(id, { db = pool } = {}) {
+    const { rows } = await db.query(`SELECT ${columns} FROM ${from} WHERE r.id = $1`, [id]);
+    if (rows.length === 0) throw new NotFoundError(`${label} not found`);
+    return rows[0];
+  }
+
+  // Requests, oldest first so the queue is worked in order. Filters: status
+  // (list), studentId.
+  async function list({ status, studentId, limit = 50, offset = 0 } = {}, { db = pool } = {}) {
+    const conditions = ['s.deleted_at IS NULL'];
+    const params = [];
+    if (status?.length) {
+      params.push(status);
+      conditions.push(`r.status = ANY($${params.length}::text[])`);
+    }
+    if (studentId) {
+      params.push(studentId);
+      conditions.push(`r.student_id = $${params.length}`);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const { rows: countRows } = await db.query(`SELECT COUNT(*)::int AS total FROM ${from} ${where}`, params);
+    const { rows } = await db.query(
+      `SELECT ${columns} FROM ${from} ${where}
+       ORDER BY r.submitted_at, r.id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { requests: rows, total: countRows[0].total, limit, offset };
+  }
+
+  // The request, or 409 when it has already been reviewed or withdrawn
+  async function pending(id, { db = pool } = {}) {
+    const request = await get(id, { db });
+    if (request.status !== 'pending') {
+      throw new ConflictError(`${label} is already ${request.status}`, { status: request.status });
+    }
+    return request;
+  }
+
+  // Mark a pending request reviewed (or withdrawn); false when it was not pending
+  async function close(id, status, { comment = null, actor = {}, studentId = null, db = pool } = {}) {
+    const { rows } = await db.query(
+      `UPDATE ${table} SET status = $2, review_comment = $3, reviewed_at = now(),
+         reviewed_by = $4, reviewer_name = $5
+       WHERE id = $1 AND status = 'pending' AND ($6::uuid IS NULL OR student_id = $6)
+       RETURNING id`,
+      [id, status, comment, actor.actor_id || null, actor.actor_name || null, studentId]
+    );
+    return rows.length > 0;
+  }
+
+  // Close a pending request as reviewed and return it, or 409 when it is not pending
+  async function review(id, status, { comment = null, actor = {}, db = pool } = {}) {
+    await pending(id, { db });
+    if (!(await close(id, status, { comment, actor, db }))) {
+      throw new ConflictError(`${label} was reviewed by someone else`);
+    }
+    return get(id, { db });
+  }
+
+  // A student withdraws their own pending request
+  async function cancel(id, studentId, { db = pool } = {}) {
+    const request = await get(id, { db });
+    if (request.student_id !== studentId) throw new NotFoundError(`${label} not found`);
+    if (!(await close(id, 'cancelled', { studentId, db }))) {
+      throw new ConflictError(`${label} is already ${request.status}`, { status: request.status });
+    }
+    return get(id, { db });
+  }
+
+  // Email the student the decision on their request
+  async function notify(request, { db = pool } = {}) {
+    const { rows } = await db.query('SELECT email, name FROM students WHERE id = $1', [request.student_id]);
+    if (!rows[0]?.email) return;
+
+    try {
+      await sendMail({ to: rows[0].email, ...email(request, rows[0]) });
+    } catch (error) {
+      // The decision stands even if the email does not go out
+      logger.error('Failed to email request decision', { table, id: request.id, error });
+    }
+  }
+
+  return { get, list, pending, close, review, cancel, notify };
+}
@@ -0,0 +1,179 @@
+import { PERMISSIONS, ALL_PERMISSIONS } from './permissions.js';
+
+// Route-to-role map used by the authorization middleware in utils/auth.js.
+//
+// Rules are checked top to bottom and the first one whose method and path
+// match wins. Paths use the same syntax as the Hono routes in index.js
+// (`:param` for a single segment, `*` for anything) or a RegExp tested against
+// the whole path. Any route that is not listed here is treated as
+// super-admin-only (see DEFAULT_RULE).
+//
+// `permission` is the admin permission (utils/permissions.js) the route needs;
+// admin rules without one are open to every admin role.
+//
+// `allowPendingPasswordChange` lets admins and students who still have to
+// change their password (seeded or reset credentials) through to the route.
+// `allowPendingTotpEnrollment` does the same for admins who have to set up
+// two-factor authentication (ADMIN_TOTP_REQUIRED=true).
+// `allowReadOnly` lets read-only student tokens (graduates) make a non-GET
+// request to the route.
+//
+// `owner` restricts student tokens to their own records. It names the route
+// param (or request body field) holding the student's identifier and the token
+// claim it must equal. Admin tokens are never subject to the owner check.
+// `upload: true` takes the identifier from the student_documents row of the
+// uploaded file being requested.
+//
+// Registration numbers with slashes arrive as one `:regNumber` segment
+// (CS%2F001%2F2024), see canonicalPath() in utils/registrationNumbers.js.
+
+export const PUBLIC = 'public';
+export const ADMIN = 'admin';
+export const STUDENT = 'student';
+
+export const DEFAULT_RULE = { roles: [ADMIN], permission: ALL_PERMISSIONS };
+
+// Dashboard pages and assets served from ./public
+export const STATIC_ASSET_PATH = /^\/[\w\-./]*\.(html|css|js|map|json|png|jpe?g|gif|svg|ico|webp|woff2?|ttf)$/;
+
+const { STUDENTS_READ, STUDENTS_WRITE, UNITS_WRITE, FINANCE_WRITE, EXAMS_WRITE, ADMINS_MANAGE, AUDIT_READ } = PERMISSIONS;
+
+const ownRegNumber = { param: 'regNumber', claim: 'registration_number' };
+const ownStudentId = { param: 'id', claim: 'student_id' };
+const ownUpload = { upload: true, claim: 'registration_number' };
+
+// Routes an admin must still reach while a password change or 2FA enrolment is pending
+const pendingAccountSetup = { allowPendingPasswordChange: true, allowPendingTotpEnrollment: true };
+
+export const routeAccess = [
+  // Authentication
+  { method: 'POST', path: '/auth/student-login', roles: [PUBLIC] },
+  { method: 'POST', path: '/auth/admin-login', roles: [PUBLIC] },
+  { method: 'POST', path: '/auth/admin-login/verify-2fa', roles: [PUBLIC] },
+  { method: 'POST', path: '/auth/refresh', roles: [PUBLIC] },
+  { method: 'POST', path: '/auth/logout', roles: [ADMIN, STUDENT], ...pendingAccountSetup, allowReadOnly: true },
+  { method: 'POST', path: '/auth/logout-all', roles: [ADMIN, STUDENT], ...pendingAccountSetup, allowReadOnly: true },
+  { method: 'POST', path: '/student/auth/forgot-password', roles: [PUBLIC] },
+  { method: 'POST', path: '/student/auth/reset-password', roles: [PUBLIC] },
+  { method: 'POST', path: '/student/auth/change-password', roles: [STUDENT], allowPendingPasswordChange: true, allowReadOnly: true },
+  { method: 'GET', path: '/admin/verify-token', roles: [ADMIN], ...pendingAccountSetup },
+  { method: 'POST', path: '/admin/change-password', roles: [ADMIN], ...pendingAccountSetup },
+
+  // Admin two-factor authentication (own account)
+  { method: 'POST', path: '/admin/2fa/setup', roles: [ADMIN], ...pendingAccountSetup },
+  { method: 'POST', path: '/admin/2fa/enable', roles: [ADMIN], ...pendingAccountSetup },
+  { method: 'POST', path: '/admin/2fa/disable', roles: [ADMIN] },
+  { method: 'POST', path: '/admin/2fa/recovery-codes', roles: [ADMIN] },
+
+  // Admin user management (super admin)
+  { method: 'GET', path: '/admins', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'POST', path: '/admins', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'GET', path: '/admins/:id', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'PATCH', path: '/admins/:id', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'POST', path: '/admins/:id/disable', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'POST', path: '/admins/:id/enable', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'POST', path: '/admins/:id/reset-password', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'POST', path: '/admins/:id/unlock-login', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'POST', path: '/admins/:id/reset-2fa', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'DELETE', path: '/admins/:id', roles: [ADMIN], permission: ADMINS_MANAGE },
+  { method: 'GET', path: '/admin/audit-log', roles: [ADMIN], permission: AUDIT_READ },
+
+  // Health checks and test pages
+  { method: 'GET', path: '/health', roles: [PUBLIC] },
+  { method: 'GET', path: '/api/health', roles: [PUBLIC] },
+  { method: 'GET', path: '/test-upload', roles: [PUBLIC] },
+  { method: 'GET', path: '/test-exam-card', roles: [PUBLIC] },
+  { method: 'GET', path: '/test-unified-upload', roles: [PUBLIC] },
+  { method: 'GET', path: '/debug-formdata', roles: [PUBLIC] },
+  { method: 'GET', path: '/test/*', roles: [PUBLIC] },
+
+  // Student portal (students see their own records, admins see everyone's)
+  { method: 'GET', path: '/student/registration/:regNumber', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownRegNumber },
+  { method: 'GET', path: '/documents/:regNumber', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownRegNumber },
+  { method: 'GET', path: '/students/:id', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/registered-units', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/fees', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/exam-card', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/fee-statement', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/fee-receipt', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/documents', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/status-history', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/promotions', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/:id/graduation-check', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownStudentId },
+  { method: 'GET', path: '/students/registration/:regNumber/allocated-units', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownRegNumber },
+  { method: 'POST', path: '/students/registration/:regNumber/register-allocated-unit', roles: [ADMIN, STUDENT], permission: UNITS_WRITE, owner: ownRegNumber },
+  { method: 'POST', path: '/students/registration/:regNumber/upload-photo', roles: [ADMIN, STUDENT], permission: STUDENTS_WRITE, owner: ownRegNumber },
+  { method: 'POST', path: '/units/register', roles: [ADMIN, STUDENT], permission: UNITS_WRITE, owner: { body: 'student_reg', claim: 'registration_number' } },
+  { method: 'GET', path: '/units', roles: [ADMIN, STUDENT] },
+  { method: 'GET', path: '/timetable/:course/:semester', roles: [ADMIN, STUDENT] },
+
+  // Student records (registrar)
+  { method: 'GET', path: '/students', roles: [ADMIN], permission: STUDENTS_READ },
+  { method: 'GET', path: '/students/status/:statusType', roles: [ADMIN], permission: STUDENTS_READ },
+  { method: 'POST', path: '/students', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/import', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'GET', path: '/exports/:dataset', roles: [ADMIN], permission: STUDENTS_READ },
+  { method: 'PATCH', path: '/students/:id', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'DELETE', path: '/students/:id', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/promote', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/promotions', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/academic-leave', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/deregister', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/:id/academic-leave', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'DELETE', path: '/students/:id/academic-leave', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/:id/deregister', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/:id/restore', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/:id/status', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/:id/graduate', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'GET', path: '/programme-requirements', roles: [ADMIN], permission: STUDENTS_READ },
+  { method: 'PUT', path: '/programme-requirements/:course', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/:id/unlock-login', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/registration/:regNumber/academic-leave', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/students/registration/:regNumber/deregister', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/student/leave-requests', roles: [STUDENT] },
+  { method: 'GET', path: '/student/leave-requests', roles: [STUDENT] },
+  { method: 'POST', path: '/student/leave-requests/:id/cancel', roles: [STUDENT] },
+  { method: 'GET', path: '/me', roles: [STUDENT] },
+  { method: 'PATCH', path: '/me', roles: [STUDENT] },
+  { method: 'POST', path: '/me/change-requests', roles: [STUDENT] },
+  { method: 'GET', path: '/me/change-requests', roles: [STUDENT] },
+  { method: 'POST', path: '/me/change-requests/:id/cancel', roles: [STUDENT] },
+  { method: 'GET', path: '/profile-change-requests', roles: [ADMIN], permission: STUDENTS_READ },
+  { method: 'GET', path: '/profile-change-requests/:id', roles: [ADMIN], permission: STUDENTS_READ },
+  { method: 'POST', path: '/profile-change-requests/:id/approve', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/profile-change-requests/:id/reject', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'GET', path: '/leave-requests', roles: [ADMIN], permission: STUDENTS_READ },
+  { method: 'GET', path: '/leave-requests/:id', roles: [ADMIN], permission: STUDENTS_READ },
+  { method: 'POST', path: '/leave-requests/:id/approve', roles: [ADMIN], permission: STUDENTS_WRITE },
+  { method: 'POST', path: '/leave-requests/:id/reject', roles: [ADMIN], permission: STUDENTS_WRITE },
+
+  // Units and allocation (registrar)
+  { method: 'POST', path: '/units', roles: [ADMIN], permission: UNITS_WRITE },
+  { method: 'POST', path: '/students/:studentId/allocate-units', roles: [ADMIN], permission: UNITS_WRITE },
+  { method: 'POST', path: '/students/registration/:regNumber/allocate-units', roles: [ADMIN], permission: UNITS_WRITE },
+
+  // Finance documents (finance officer)
+  { method: 'POST', path: '/fees-structure', roles: [ADMIN], permission: FINANCE_WRITE },
+  { method: 'POST', path: '/fees-statement', roles: [ADMIN], permission: FINANCE_WRITE },
+  { method: 'POST', path: '/fees-receipt', roles: [ADMIN], permission: FINANCE_WRITE },
+  { method: 'POST', path: '/students/:id/fee-statement', roles: [ADMIN], permission: FINANCE_WRITE },
+  { method: 'POST', path: '/students/:id/fee-receipt', roles: [ADMIN], permission: FINANCE_WRITE },
+  { method: 'POST', path: '/students/:id/upload-fee-statement', roles: [ADMIN], permission: FINANCE_WRITE },
+  { method: 'POST', path: '/students/:id/upload-fee-receipt', roles: [ADMIN], permission: FINANCE_WRITE },
+
+  // Exams, results and timetables (exams officer)
+  { method: 'POST', path: '/exam-card', roles: [ADMIN], permission: EXAMS_WRITE },
+  { method: 'POST', path: '/exam-cards', roles: [ADMIN], permission: EXAMS_WRITE },
+  { method: 'POST', path: '/exam-cards/:regNumber', roles: [ADMIN], permission: EXAMS_WRITE },
+  { method: 'POST', path: '/results', roles: [ADMIN], permission: EXAMS_WRITE },
+  { method: 'POST', path: '/students/:id/upload-results', roles: [ADMIN], permission: EXAMS_WRITE },
+  { method: 'POST', path: '/timetable', roles: [ADMIN], permission: EXAMS_WRITE },
+  { method: 'POST', path: '/upload-timetable', roles: [ADMIN], permission: EXAMS_WRITE },
+
+  // Uploaded documents, for admins and the student they belong to
+  { method: 'GET', path: '/uploads/*', roles: [ADMIN, STUDENT], permission: STUDENTS_READ, owner: ownUpload },
+
+  // Static files (admin dashboard and its assets)
+  { method: 'GET', path: '/', roles: [PUBLIC] },
+  { method: 'GET', path: STATIC_ASSET_PATH, roles: [PUBLIC] }
+];
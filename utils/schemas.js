@@ -0,0 +1,410 @@
+import {
+  string,
+  password,
+  uuid,
+  email,
+  phone,
+  url,
+  registrationNumber,
+  integer,
+  boolean,
+  json,
+  date,
+  semester,
+  academicYear,
+  array,
+  list,
+  file
+} from './validation.js';
+import { CSV_TYPES, isXlsx } from './spreadsheet.js';
+import { STUDENT_STATUSES } from './studentStatus.js';
+import { intakeYearSqlPattern } from './registrationNumbers.js';
+
+// Request body schemas for the student, unit, allocation and login routes (see
+// utils/validation.js). Aliases keep the field names older frontends send.
+
+export const PHOTO_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
+export const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+export const DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+export const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+// ---- Students ----
+
+export const createStudentSchema = {
+  name: string({ required: true, max: 255 }),
+  registration_number: registrationNumber({ required: true }),
+  course: string({ required: true, max: 255 }),
+  level_of_study: string({ required: true, max: 100 }),
+  national_id: string({ max: 50 }),
+  birth_certificate: string({ max: 50 }),
+  date_of_birth: date(),
+  password: string({ max: 128 }),
+  email: email(),
+  // Multipart requests only
+  photo: file({ types: PHOTO_TYPES, maxBytes: PHOTO_MAX_BYTES })
+};
+
+export const studentIdParamSchema = {
+  id: uuid({ required: true })
+};
+
+// Contact details, which students also edit themselves (PATCH /me)
+export const contactDetailsSchema = {
+  email: email(),
+  phone: phone(),
+  address: string({ max: 500 }),
+  next_of_kin_name: string({ max: 255 }),
+  next_of_kin_phone: phone(),
+  next_of_kin_relationship: string({ max: 100 })
+};
+
+// PATCH /students/:id: any subset of the editable fields. Status, leave and
+// deregistration have their own routes; `version` may come from If-Match instead.
+export const updateStudentSchema = {
+  name: string({ max: 255 }),
+  registration_number: registrationNumber(),
+  course: string({ max: 255 }),
+  level_of_study: string({ max: 100 }),
+  national_id: string({ max: 50 }),
+  birth_certificate: string({ max: 50 }),
+  date_of_birth: date(),
+  ...contactDetailsSchema,
+  photo_url: url(),
+  version: integer({ min: 1 })
+};
+
+export function updateStudentCheck({ version, ...changes }) {
+  return Object.keys(changes).length > 0
+    ? []
+    : [{ field: 'body', message: 'must contain at least one field to update' }];
+}
+
+// POST /students/import (multipart); see utils/studentImport.js
+export const studentImportSchema = {
+  file: file({ required: true, maxBytes: IMPORT_MAX_BYTES }),
+  mapping: json(),
+  dry_run: boolean({ default: true }),
+  format: string({ oneOf: ['json', 'csv'], default: 'json' })
+};
+
+// Browsers label CSV files inconsistently, so the extension counts too
+export function studentImportCheck({ file: upload }) {
+  const isCsv = CSV_TYPES.includes(upload.type) || /\.csv$/i.test(upload.name || '');
+  return isCsv || isXlsx(upload) ? [] : [{ field: 'file', message: 'must be a CSV or XLSX file' }];
+}
+
+export const promoteStudentSchema = {
+  registration_number: registrationNumber({ required: true }),
+  new_level: string({ required: true, max: 100 })
+};
+
+// POST /students/promotions: a cohort and the level it moves to. Dry run
+// unless dry_run=false; see utils/promotions.js
+export const cohortPromotionSchema = {
+  course: string({ required: true, max: 255 }),
+  level_of_study: string({ required: true, max: 100, aliases: ['current_level', 'level'] }),
+  intake_year: integer({ required: true, min: 1900, max: 2999 }),
+  new_level: string({ required: true, max: 100 }),
+  dry_run: boolean({ default: true }),
+  max_fee_balance: integer({ min: 0 }),
+  require_registered_units: boolean(),
+  require_results: boolean()
+};
+
+export function cohortPromotionCheck(value) {
+  const errors = [];
+  if (!intakeYearSqlPattern(value.intake_year)) {
+    errors.push({ field: 'intake_year', message: 'registration numbers in this format do not include a year' });
+  }
+  if (value.new_level.trim().toLowerCase() === value.level_of_study.trim().toLowerCase()) {
+    errors.push({ field: 'new_level', message: 'must differ from level_of_study' });
+  }
+  return errors;
+}
+
+// Leave for a student named in the URL
+export const academicLeaveSchema = {
+  start_date: date({ aliases: ['startDate', 'from'] }),
+  end_date: date({ aliases: ['endDate', 'to'] }),
+  reason: string({ max: 1000, aliases: ['academic_leave_reason'], default: '' })
+};
+
+// Leave runs from today for three months unless dates are given
+export function leavePeriod({ start_date, end_date }) {
+  const today = new Date();
+  const threeMonths = new Date();
+  threeMonths.setMonth(threeMonths.getMonth() + 3);
+
+  return {
+    startDate: start_date || today.toISOString().split('T')[0],
+    endDate: end_date || threeMonths.toISOString().split('T')[0]
+  };
+}
+
+export function checkLeavePeriod(value) {
+  const { startDate, endDate } = leavePeriod(value);
+  return endDate < startDate ? [{ field: 'end_date', message: 'must not be before start_date' }] : [];
+}
+
+// POST /students/academic-leave names the student in the body
+export const academicLeaveByBodySchema = {
+  student_id: uuid({ aliases: ['studentId', 'id'] }),
+  registration_number: registrationNumber({ aliases: ['registrationNumber'] }),
+  ...academicLeaveSchema
+};
+
+export function academicLeaveByBodyCheck(value) {
+  const errors = [];
+  if (!value.student_id && !value.registration_number) {
+    errors.push({ field: 'student_id', message: 'student_id or registration_number is required' });
+  }
+  return errors.concat(checkLeavePeriod(value));
+}
+
+export const deregisterSchema = {
+  reason: string({ max: 1000, aliases: ['deregistration_reason'], default: '' })
+};
+
+// Restoring a deregistered student
+export const restoreStudentSchema = {
+  reason: string({ max: 1000 })
+};
+
+// POST /students/:id/status, for changes without a route of their own. Leave
+// needs dates and graduation the programme checks, so they keep their routes.
+export const studentStatusSchema = {
+  status: string({ required: true, oneOf: STUDENT_STATUSES.filter((status) => !['on_leave', 'graduated'].includes(status)) }),
+  reason: string({ max: 1000 }),
+  effective_date: date({ aliases: ['effective_from'] })
+};
+
+// ---- Graduation (utils/graduation.js) ----
+
+export const programmeCourseParamSchema = {
+  course: string({ required: true, max: 255 })
+};
+
+export const programmeRequirementsSchema = {
+  final_level: string({ max: 100 }),
+  min_units: integer({ min: 0, max: 1000, default: 0 }),
+  required_unit_codes: array(string({ max: 50 }), { max: 200, default: [] }),
+  max_fee_balance: integer({ min: 0, default: 0 }),
+  require_results: boolean({ default: true })
+};
+
+export const graduateStudentSchema = {
+  graduation_date: date({ aliases: ['effective_date'] }),
+  award: string({ required: true, max: 255 }),
+  classification: string({ max: 255, aliases: ['award_classification', 'class'] })
+};
+
+// ---- Self-service profile (GET/PATCH /me, utils/profileChangeRequests.js) ----
+
+// Fields only admins change; students ask for it with a change request
+export const LOCKED_PROFILE_FIELDS = ['name', 'national_id', 'course'];
+
+const lockedProfileSchema = {
+  name: string({ max: 255 }),
+  national_id: string({ max: 50 }),
+  course: string({ max: 255 })
+};
+
+// PATCH /me: contact details only. Locked fields are read so the error can
+// point at change requests instead of dropping them silently.
+export const updateProfileSchema = {
+  ...contactDetailsSchema,
+  ...lockedProfileSchema,
+  version: integer({ min: 1 })
+};
+
+export function updateProfileCheck({ version, ...changes }) {
+  const locked = LOCKED_PROFILE_FIELDS.filter((field) => changes[field] !== undefined);
+  if (locked.length > 0) {
+    return locked.map((field) => ({ field, message: 'is locked; request the change with POST /me/change-requests' }));
+  }
+  return updateStudentCheck(changes);
+}
+
+export const PROFILE_CHANGE_REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+export const profileChangeRequestSchema = {
+  ...lockedProfileSchema,
+  reason: string({ max: 1000 })
+};
+
+export function profileChangeRequestCheck(value) {
+  return LOCKED_PROFILE_FIELDS.some((field) => value[field] !== undefined)
+    ? []
+    : [{ field: 'body', message: `must change at least one of: ${LOCKED_PROFILE_FIELDS.join(', ')}` }];
+}
+
+export const profileChangeRequestIdParamSchema = {
+  id: uuid({ required: true })
+};
+
+export const profileChangeRequestListSchema = {
+  status: list(string({ oneOf: PROFILE_CHANGE_REQUEST_STATUSES })),
+  student_id: uuid(),
+  limit: integer({ min: 1, max: 200, default: 50 }),
+  offset: integer({ min: 0, default: 0 })
+};
+
+export const approveProfileChangeRequestSchema = {
+  comment: string({ max: 1000 })
+};
+
+export const rejectProfileChangeRequestSchema = {
+  comment: string({ required: true, max: 1000 })
+};
+
+// ---- Leave requests (utils/leaveRequests.js) ----
+
+export const LEAVE_REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Submitted by a student as JSON or, with a supporting document, multipart
+export const leaveRequestSchema = {
+  start_date: date({ required: true, aliases: ['startDate', 'from'] }),
+  end_date: date({ required: true, aliases: ['endDate', 'to'] }),
+  reason: string({ required: true, max: 1000 }),
+  document: file({ maxBytes: DOCUMENT_MAX_BYTES })
+};
+
+export function leaveRequestCheck({ start_date, end_date }) {
+  const errors = [];
+  if (start_date < new Date().toISOString().split('T')[0]) {
+    errors.push({ field: 'start_date', message: 'must not be in the past' });
+  }
+  if (end_date < start_date) errors.push({ field: 'end_date', message: 'must not be before start_date' });
+  return errors;
+}
+
+export const leaveRequestIdParamSchema = {
+  id: uuid({ required: true })
+};
+
+export const leaveRequestListSchema = {
+  status: list(string({ oneOf: LEAVE_REQUEST_STATUSES })),
+  student_id: uuid(),
+  limit: integer({ min: 1, max: 200, default: 50 }),
+  offset: integer({ min: 0, default: 0 })
+};
+
+export const approveLeaveRequestSchema = {
+  comment: string({ max: 1000 })
+};
+
+export const rejectLeaveRequestSchema = {
+  comment: string({ required: true, max: 1000 })
+};
+
+export const bulkDeregisterSchema = {
+  student_ids: array(uuid(), { max: 500 }),
+  registration_numbers: array(registrationNumber(), { max: 500 }),
+  ...deregisterSchema
+};
+
+export function bulkDeregisterCheck(value) {
+  if (value.student_ids?.length || value.registration_numbers?.length) return [];
+  return [{ field: 'student_ids', message: 'student_ids or registration_numbers is required' }];
+}
+
+export const photoUploadSchema = {
+  photo: file({ required: true, types: PHOTO_TYPES, maxBytes: PHOTO_MAX_BYTES })
+};
+
+export const documentUploadSchema = {
+  registrationNumber: registrationNumber({ required: true }),
+  file: file({ required: true, maxBytes: DOCUMENT_MAX_BYTES })
+};
+
+export const feeStatementSchema = {
+  statement_url: url({ required: true })
+};
+
+export const feeReceiptSchema = {
+  receipt_url: url({ required: true })
+};
+
+// ---- Units and allocations ----
+
+export const createUnitSchema = {
+  unit_name: string({ required: true, max: 255 }),
+  unit_code: string({ required: true, max: 50 })
+};
+
+export const registerUnitSchema = {
+  student_reg: registrationNumber({ required: true }),
+  ...createUnitSchema,
+  status: string({ max: 50, default: 'active' })
+};
+
+export const allocateUnitsSchema = {
+  unit_ids: array(uuid(), { required: true, min: 1, max: 100 }),
+  semester: semester({ default: 1 }),
+  academic_year: academicYear({ default: '2024/2025' }),
+  notes: string({ max: 1000 })
+};
+
+export const registerAllocatedUnitSchema = {
+  allocated_unit_id: uuid({ required: true })
+};
+
+// ---- Audit log ----
+
+export const auditLogQuerySchema = {
+  student_id: uuid(),
+  registration_number: string({ max: 100 }),
+  actor_id: uuid(),
+  actor_type: string({ oneOf: ['admin', 'student', 'system'] }),
+  action: string({ max: 200 }),
+  from: date(),
+  to: date(),
+  limit: integer({ min: 1, max: 200, default: 50 }),
+  offset: integer({ min: 0, default: 0 })
+};
+
+export function auditLogQueryCheck({ from, to }) {
+  return from && to && to < from ? [{ field: 'to', message: 'must not be before from' }] : [];
+}
+
+// ---- Authentication ----
+// New passwords are checked by validatePasswordStrength() in the routes.
+
+export const studentLoginSchema = {
+  registration_number: string({ required: true, max: 100 }),
+  password: password({ required: true })
+};
+
+export const adminLoginSchema = {
+  username: string({ required: true, max: 255 }),
+  password: password({ required: true })
+};
+
+export const verifyTotpSchema = {
+  challenge_token: string({ required: true }),
+  code: string({ max: 20 }),
+  recovery_code: string({ max: 50 })
+};
+
+export function verifyTotpCheck({ code, recovery_code }) {
+  return code || recovery_code ? [] : [{ field: 'code', message: 'code or recovery_code is required' }];
+}
+
+export const refreshTokenSchema = {
+  refresh_token: string({ required: true })
+};
+
+export const forgotPasswordSchema = {
+  registration_number: string({ required: true, max: 100 }),
+  email: string({ max: 255 })
+};
+
+export const resetPasswordSchema = {
+  token: string({ required: true }),
+  new_password: password({ required: true })
+};
+
+export const changePasswordSchema = {
+  current_password: password({ required: true }),
+  new_password: password({ required: true })
+};
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import { secureHeaders } from 'hono/secure-headers';
+import { STATIC_ASSET_PATH } from './routeAccess.js';
+import { logger } from './logger.js';
+
+// CORS and security-header configuration.
+//
+// Settings come from an optional JSON file (SECURITY_CONFIG_FILE, shaped like
+// `{ "cors": { "origins": [], "allowHeaders": [], "exposeHeaders": [],
+// "credentials": true }, "hsts": "max-age=..." }`) and are overridden by the
+// environment:
+//   CORS_ORIGINS         comma-separated origins; `https://*.example.app`
+//                        allows any subdomain, `*` allows every origin
+//                        without credentials
+//   CORS_ALLOW_HEADERS   comma-separated request headers
+//   CORS_EXPOSE_HEADERS  comma-separated response headers
+//   CORS_CREDENTIALS     true/false
+//   SECURITY_HSTS        Strict-Transport-Security value, or false to omit it
+
+const DEFAULT_CORS = {
+  origins: [
+    'http://localhost:5500',
+    'http://127.0.0.1:5500',
+    'http://127.0.0.1:5501',
+    'http://localhost:5501',
+    'https://studentportaladmin.netlify.app',
+    'https://clipscollegestudentportal.netlify.app'
+  ],
+  allowHeaders: [
+    'Content-Type',
+    'Authorization',
+    'Accept',
+    'Origin',
+    'X-Requested-With',
+    'If-Match',
+    'X-Registration-Number',
+    'X-Filename',
+    'X-Name',
+    'X-Course',
+    'X-Level-Of-Study',
+    'X-Email'
+  ],
+  exposeHeaders: [
+    'Content-Length',
+    'X-Total-Count',
+    'Link',
+    'ETag',
+    'Retry-After',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset'
+  ],
+  credentials: true
+};
+
+const DEFAULT_HSTS = 'max-age=15552000; includeSubDomains';
+
+function readConfigFile(filePath) {
+  if (!filePath) return {};
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read SECURITY_CONFIG_FILE ${filePath}: ${error.message}`);
+  }
+}
+
+function splitList(value) {
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+// Merge defaults, the config file and the environment
+export function loadSecurityConfig(env = process.env) {
+  const file = readConfigFile(env.SECURITY_CONFIG_FILE);
+  const cors = { ...DEFAULT_CORS, ...file.cors };
+
+  if (env.CORS_ORIGINS) cors.origins = splitList(env.CORS_ORIGINS);
+  if (env.CORS_ALLOW_HEADERS) cors.allowHeaders = splitList(env.CORS_ALLOW_HEADERS);
+  if (env.CORS_EXPOSE_HEADERS) cors.exposeHeaders = splitList(env.CORS_EXPOSE_HEADERS);
+  if (env.CORS_CREDENTIALS) cors.credentials = env.CORS_CREDENTIALS === 'true';
+
+  // Browsers refuse credentials with `Access-Control-Allow-Origin: *`, and
+  // reflecting every origin instead would let any site make credentialed calls
+  if (cors.origins.includes('*') && cors.credentials) {
+    logger.warn('CORS_ORIGINS=* allows every origin; CORS credentials are turned off');
+    cors.credentials = false;
+  }
+
+  let hsts = file.hsts ?? DEFAULT_HSTS;
+  if (env.SECURITY_HSTS) hsts = env.SECURITY_HSTS === 'false' ? false : env.SECURITY_HSTS;
+
+  return { cors, hsts };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build the `origin` callback for hono/cors. Returns the request origin when
+// it is allowed (so credentials work with subdomain wildcards) and null
+// otherwise; `*` is answered with a literal `*`.
+export function originMatcher(patterns) {
+  if (patterns.includes('*')) {
+    return () => '*';
+  }
+
+  const matchers = patterns.map((pattern) => {
+    const normalized = pattern.replace(/\/+$/, '').toLowerCase();
+    if (!normalized.includes('*')) return (origin) => origin === normalized;
+
+    // `https://*.example.app` matches one or more subdomain labels
+    const source = normalized.split('*.').map(escapeRegExp).join('([a-z0-9-]+\\.)+');
+    const regex = new RegExp(`^${source}$`);
+    return (origin) => regex.test(origin);
+  });
+
+  return (origin) => {
+    if (!origin) return null;
+    const normalized = origin.toLowerCase();
+    return matchers.some((matches) => matches(normalized)) ? origin : null;
+  };
+}
+
+// Options for hono/cors
+export function corsOptions(config) {
+  return {
+    origin: originMatcher(config.cors.origins),
+    allowMethods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowHeaders: config.cors.allowHeaders,
+    credentials: config.cors.credentials,
+    exposeHeaders: config.cors.exposeHeaders,
+    maxAge: 86400 // Cache preflight for 24 hours
+  };
+}
+
+// Security headers with a Content-Security-Policy per kind of response:
+//   api     - JSON never renders or loads anything, and is never framed
+//   uploads - documents under /uploads/* may be previewed in the frontends'
+//             iframes, but can never run scripts
+//   static  - the dashboard pages in ./public load their own scripts/styles
+export function securityHeaders(config) {
+  const frameAncestors = ["'self'", ...config.cors.origins.filter((origin) => origin !== '*')];
+  const common = {
+    // Frontends on other origins embed uploaded photos and documents
+    crossOriginResourcePolicy: 'cross-origin',
+    strictTransportSecurity: config.hsts || false
+  };
+
+  const api = secureHeaders({
+    ...common,
+    xFrameOptions: 'DENY',
+    contentSecurityPolicy: {
+      defaultSrc: ["'none'"],
+      frameAncestors: ["'none'"]
+    }
+  });
+
+  const uploads = secureHeaders({
+    ...common,
+    // Superseded by frame-ancestors, which can list the frontend origins
+    xFrameOptions: false,
+    contentSecurityPolicy: {
+      defaultSrc: ["'none'"],
+      imgSrc: ["'self'", 'data:'],
+      styleSrc: ["'unsafe-inline'"],
+      scriptSrc: ["'none'"],
+      frameAncestors
+    }
+  });
+
+  const staticFiles = secureHeaders({
+    ...common,
+    contentSecurityPolicy: {
+      defaultSrc: ["'self'"],
+      scriptSrc: ["'self'", "'unsafe-inline'"],
+      styleSrc: ["'self'", "'unsafe-inline'"],
+      imgSrc: ["'self'", 'data:', 'blob:', 'https:'],
+      connectSrc: ["'self'"],
+      objectSrc: ["'none'"],
+      frameAncestors: ["'self'"]
+    }
+  });
+
+  return (c, next) => {
+    const path = c.req.path;
+    if (path.startsWith('/uploads/')) return uploads(c, next);
+    if (path === '/' || path.startsWith('/test/') || STATIC_ASSET_PATH.test(path)) return staticFiles(c, next);
+    return api(c, next);
+  };
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { pool, sql } from '../db.js';
+import { logger } from './logger.js';
+
+// Server-side sessions backing the rotating refresh tokens.
+//
+// Each row holds one refresh token (stored as a SHA-256 hash). Refreshing
+// revokes the row and inserts a new one in the same `family_id`, so a family
+// is one login on one device. Presenting an already-rotated token means it
+// was stolen or replayed, and the whole family is revoked.
+//
+// Access tokens carry the row id as `sid`; the authorization middleware
+// rejects them as soon as that row is revoked.
+
+export const SESSION_SUBJECTS = { ADMIN: 'admin', STUDENT: 'student' };
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function refreshTokenExpiry() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+// Start a new session after a successful login
+export async function createSession(subjectType, subjectId, { userAgent, ipAddress } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const { rows } = await pool.query(
+    `INSERT INTO sessions (family_id, subject_type, subject_id, refresh_token_hash, expires_at, user_agent, ip_address)
+     VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6) RETURNING *`,
+    [subjectType, subjectId, hashRefreshToken(refreshToken), refreshTokenExpiry(), userAgent || null, ipAddress || null]
+  );
+  return { session: rows[0], refreshToken };
+}
+
+// Exchange a refresh token for a new one. Returns null when the token is
+// unknown, expired or revoked.
+export async function rotateSession(refreshToken) {
+  const tokenHash = hashRefreshToken(refreshToken);
+  let result = null;
+
+  await sql.begin(async (txSql) => {
+    const rows = await txSql`
+      SELECT * FROM sessions WHERE refresh_token_hash = ${tokenHash} FOR UPDATE
+    `;
+    const current = rows[0];
+    if (!current) return;
+
+    if (current.revoked_at) {
+      if (current.revoked_reason === 'rotated') {
+        logger.warn('Refresh token reuse detected, revoking session family', { family_id: current.family_id });
+        await txSql`
+          UPDATE sessions SET revoked_at = now(), revoked_reason = 'reuse_detected'
+          WHERE family_id = ${current.family_id} AND revoked_at IS NULL
+        `;
+      }
+      return;
+    }
+
+    if (new Date(current.expires_at) <= new Date()) return;
+
+    const nextToken = crypto.randomBytes(48).toString('base64url');
+    await txSql`
+      UPDATE sessions SET revoked_at = now(), revoked_reason = 'rotated' WHERE id = ${current.id}
+    `;
+    const inserted = await txSql`
+      INSERT INTO sessions (family_id, subject_type, subject_id, refresh_token_hash, expires_at, user_agent, ip_address)
+      VALUES (${current.family_id}, ${current.subject_type}, ${current.subject_id}, ${hashRefreshToken(nextToken)},
+              ${refreshTokenExpiry()}, ${current.user_agent}, ${current.ip_address})
+      RETURNING *
+    `;
+    result = { session: inserted[0], refreshToken: nextToken };
+  });
+
+  return result;
+}
+
+// Is the session an access token points at still valid?
+export async function isSessionActive(sessionId) {
+  const { rows } = await pool.query(
+    'SELECT 1 FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > now()',
+    [sessionId]
+  );
+  return rows.length > 0;
+}
+
+// Log out one device: revoke the family the given session belongs to
+export async function revokeSession(sessionId, reason = 'logout') {
+  const { rows } = await pool.query(
+    `UPDATE sessions SET revoked_at = now(), revoked_reason = $2
+     WHERE family_id = (SELECT family_id FROM sessions WHERE id = $1) AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, reason]
+  );
+  return rows.length;
+}
+
+// Log out every device of an admin or student
+export async function revokeAllSessions(subjectType, subjectId, reason = 'logout_all') {
+  const { rows } = await pool.query(
+    `UPDATE sessions SET revoked_at = now(), revoked_reason = $3
+     WHERE subject_type = $1 AND subject_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [subjectType, subjectId, reason]
+  );
+  return rows.length;
+}
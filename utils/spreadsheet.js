@@ -0,0 +1,422 @@
+import { inflateRawSync, deflateRawSync, constants as zlibConstants } from 'zlib';
+
+// Minimal CSV and XLSX reading and writing for imports, result files and
+// exports.
+//
+// readSpreadsheet() returns the first sheet as an array of rows, each an array
+// of cell strings; blank rows are kept as [] so indexes match the line or row
+// numbers people see in their editor. XLSX files are read straight from the
+// zip container (stored or deflated entries), which covers what Excel, Google
+// Sheets and LibreOffice write; formulas come through as their cached values.
+// XLSX rows and cells carry their own positions, so `maxRows` and
+// `maxColumns` bound how far a file can make the reader pad.
+//
+// csvChunks() and xlsxChunks() write a sheet from batches of rows as they
+// arrive, so exports never hold the whole result in memory. The XLSX
+// worksheet is deflated one batch at a time: each batch ends on a sync flush
+// and a final empty block closes the stream, which any inflater reads as one.
+
+export const CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+export const XLSX_TYPES = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+
+export class SpreadsheetError extends Error {}
+
+// ---- CSV ----
+
+// RFC 4180 fields: quoted fields may contain commas, quotes ("") and newlines.
+// Semicolon-separated files (common with European Excel locales) are detected
+// from the header line.
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row.length === 1 && row[0] === '' ? [] : row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new SpreadsheetError('CSV file has an unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// A plain number such as -500, 12.5 or +254712345678; spreadsheet apps read
+// these as values, never as formulas
+const NUMBER_TEXT = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheet apps from running cell contents as formulas
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) && !NUMBER_TEXT.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// CSV text for a header row and an async iterable of row batches
+export async function* csvChunks(header, batches) {
+  yield toCsv([header]);
+  for await (const batch of batches) {
+    if (batch.length > 0) yield toCsv(batch);
+  }
+}
+
+// ---- XLSX ----
+
+// Largest uncompressed zip entry read. A few kilobytes of deflated zeros
+// expand to gigabytes, so both the size an entry declares and the size it
+// actually inflates to are checked.
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+function inflateEntry(name, data) {
+  try {
+    return inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new SpreadsheetError(`XLSX entry ${name} is too large to read`);
+    }
+    throw new SpreadsheetError(`XLSX entry ${name} is corrupt`);
+  }
+}
+
+function unzip(buffer) {
+  // End of central directory record: last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new SpreadsheetError('XLSX file is not a valid zip archive');
+
+  const entries = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+  const count = buffer.readUInt16LE(end + 10);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new SpreadsheetError('XLSX file is corrupt');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (uncompressedSize > MAX_ENTRY_BYTES) throw new SpreadsheetError(`XLSX entry ${name} is too large to read`);
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data.toString('utf8');
+      if (method === 8) return inflateEntry(name, data).toString('utf8');
+      throw new SpreadsheetError(`XLSX entry ${name} uses an unsupported compression method`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|amp|quot|apos));/gi, (match, hex, dec, named) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(Number(dec));
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[named.toLowerCase()];
+  });
+}
+
+function attribute(attributes, name) {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Text of every <t> in a shared or inline string (rich text has several runs)
+function stringText(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)) text += decodeXml(match[1]);
+  return text;
+}
+
+// Columns in an Excel sheet (A to XFD)
+const XLSX_MAX_COLUMNS = 16384;
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]{1,3}(?=\d)/.exec(ref);
+  if (!letters) throw new SpreadsheetError(`XLSX cell reference ${ref} is invalid`);
+  let index = 0;
+  for (const letter of letters[0]) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function firstSheetPath(entries) {
+  const workbook = entries.get('xl/workbook.xml')?.();
+  const rels = entries.get('xl/_rels/workbook.xml.rels')?.();
+  const sheet = workbook && /<sheet\b([^>]*)\/?>/.exec(workbook);
+  const id = sheet && attribute(sheet[1], 'r:id');
+
+  if (id && rels) {
+    for (const match of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+      if (attribute(match[1], 'Id') === id) {
+        const target = attribute(match[1], 'Target');
+        return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      }
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+export function parseXlsx(buffer, { maxRows = Infinity, maxColumns = XLSX_MAX_COLUMNS } = {}) {
+  const entries = unzip(buffer);
+  const sheet = entries.get(firstSheetPath(entries));
+  if (!sheet) throw new SpreadsheetError('XLSX file has no worksheet');
+
+  const sharedXml = entries.get('xl/sharedStrings.xml')?.() || '';
+  const shared = [...sharedXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map((match) => stringText(match[1]));
+
+  const rows = [];
+  for (const rowMatch of sheet().matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attribute(rowMatch[1], 'r')) || rows.length + 1;
+    if (rowNumber > maxRows) throw new SpreadsheetError(`XLSX file has rows past row ${maxRows}`);
+    const cells = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attribute(cellMatch[1], 'r');
+      const type = attribute(cellMatch[1], 't');
+      const body = cellMatch[2] || '';
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(body);
+
+      let value = '';
+      if (type === 'inlineStr') value = stringText(body);
+      else if (type === 's') value = raw ? shared[Number(raw[1])] ?? '' : '';
+      else if (type === 'b') value = raw ? (raw[1] === '1' ? 'TRUE' : 'FALSE') : '';
+      else if (raw) value = decodeXml(raw[1]);
+
+      const column = ref ? columnIndex(ref) : cells.length;
+      if (column >= Math.min(maxColumns, XLSX_MAX_COLUMNS)) {
+        throw new SpreadsheetError(`XLSX file has cells past column ${Math.min(maxColumns, XLSX_MAX_COLUMNS)}`);
+      }
+      if (value !== '') cells[column] = value;
+    }
+
+    // Empty rows are left to the padding before the next row with values
+    if (cells.length === 0) continue;
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows.push(Array.from(cells, (cell) => cell ?? ''));
+  }
+  return rows;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// CRC-32 of `data`, continuing from `crc` for data written in parts
+function crc32(data, crc = 0) {
+  let c = ~crc;
+  for (const byte of data) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+const XLSX_CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '</Types>';
+
+const XLSX_ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const XLSX_WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '</Relationships>';
+
+function escapeXml(text) {
+  return String(text)
+    // Control characters are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function workbookXml(sheetName) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function rowXml(cells, rowNumber) {
+  const xml = cells.map((cell, index) => {
+    const ref = `${columnName(index)}${rowNumber}`;
+    if (cell === null || cell === undefined || cell === '') return '';
+    if (typeof cell === 'number' && Number.isFinite(cell)) return `<c r="${ref}"><v>${cell}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell)}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${xml.join('')}</row>`;
+}
+
+function localFileHeader(entry) {
+  const name = Buffer.from(entry.name);
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  // Bit 3: sizes and CRC follow the data; bit 11: UTF-8 names
+  header.writeUInt16LE(entry.streamed ? 0x0808 : 0x0800, 6);
+  header.writeUInt16LE(8, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(0x21, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, name]);
+}
+
+function centralDirectoryHeader(entry) {
+  const name = Buffer.from(entry.name);
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(entry.streamed ? 0x0808 : 0x0800, 8);
+  header.writeUInt16LE(8, 10);
+  header.writeUInt16LE(0, 12);
+  header.writeUInt16LE(0x21, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, name]);
+}
+
+// XLSX bytes for a header row and an async iterable of row batches
+export async function* xlsxChunks(header, batches, { sheetName = 'Sheet1' } = {}) {
+  const entries = [];
+  let offset = 0;
+
+  const fixedEntry = (name, text) => {
+    const data = Buffer.from(text);
+    const compressed = deflateRawSync(data);
+    const entry = { name, crc: crc32(data), compressedSize: compressed.length, size: data.length, offset, streamed: false };
+    entries.push(entry);
+    const bytes = Buffer.concat([localFileHeader(entry), compressed]);
+    offset += bytes.length;
+    return bytes;
+  };
+
+  yield fixedEntry('[Content_Types].xml', XLSX_CONTENT_TYPES);
+  yield fixedEntry('_rels/.rels', XLSX_ROOT_RELS);
+  yield fixedEntry('xl/workbook.xml', workbookXml(sheetName));
+  yield fixedEntry('xl/_rels/workbook.xml.rels', XLSX_WORKBOOK_RELS);
+
+  const sheet = { name: 'xl/worksheets/sheet1.xml', crc: 0, compressedSize: 0, size: 0, offset, streamed: true };
+  entries.push(sheet);
+  const sheetHeader = localFileHeader(sheet);
+  offset += sheetHeader.length;
+  yield sheetHeader;
+
+  const sheetPart = (xml) => {
+    const data = Buffer.from(xml);
+    sheet.crc = crc32(data, sheet.crc);
+    sheet.size += data.length;
+    const compressed = deflateRawSync(data, { finishFlush: zlibConstants.Z_SYNC_FLUSH });
+    sheet.compressedSize += compressed.length;
+    offset += compressed.length;
+    return compressed;
+  };
+
+  let rowNumber = 1;
+  yield sheetPart('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+    rowXml(header, rowNumber++));
+  for await (const batch of batches) {
+    if (batch.length > 0) yield sheetPart(batch.map((cells) => rowXml(cells, rowNumber++)).join(''));
+  }
+  yield sheetPart('</sheetData></worksheet>');
+
+  // Final empty fixed-Huffman block, then the data descriptor
+  const tail = Buffer.alloc(18);
+  tail.writeUInt8(0x03, 0);
+  tail.writeUInt8(0x00, 1);
+  sheet.compressedSize += 2;
+  tail.writeUInt32LE(0x08074b50, 2);
+  tail.writeUInt32LE(sheet.crc, 6);
+  tail.writeUInt32LE(sheet.compressedSize, 10);
+  tail.writeUInt32LE(sheet.size, 14);
+  offset += tail.length;
+  yield tail;
+
+  const directory = Buffer.concat(entries.map(centralDirectoryHeader));
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  yield Buffer.concat([directory, end]);
+}
+
+// ---- Either ----
+
+export function isXlsx(file) {
+  return XLSX_TYPES.includes(file.type) || /\.xlsx$/i.test(file.name || '');
+}
+
+// Options (maxRows, maxColumns) apply to XLSX files; see parseXlsx()
+export async function readSpreadsheet(file, options = {}) {
+  const buffer = Buffer.from(await file.arrayBuffer());
+  return isXlsx(file) ? parseXlsx(buffer, options) : parseCsv(buffer.toString('utf8'));
+}
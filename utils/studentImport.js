@@ -0,0 +1,293 @@
+import bcrypt from 'bcryptjs';
+import { pool, sql } from '../db.js';
+import { parseSchema } from './validation.js';
+import { createStudentSchema } from './schemas.js';
+import { generateTemporaryPassword, TEMPORARY_PASSWORD_ROUNDS } from './passwords.js';
+import { readSpreadsheet, toCsv, SpreadsheetError } from './spreadsheet.js';
+import { ValidationError, ConflictError } from './errors.js';
+
+// Bulk student import from a CSV or XLSX file (POST /students/import).
+//
+// The first row holds column headers. Headers are matched to student fields by
+// name ("Registration Number", "reg_no" and "Reg. No." all mean
+// registration_number) or through an explicit mapping such as
+// { "Adm No": "registration_number", "Programme": "course" }.
+//
+// Every row is checked against the same rules as POST /students, plus: a
+// national_id or birth_certificate is required, and registration numbers,
+// national IDs and emails must not repeat within the file or match an
+// existing student. A dry run only reports; a real run refuses to write
+// anything while any row is invalid, then inserts every row in one
+// transaction. Each created student gets a temporary password and must change
+// it at first login; the per-row result (as JSON or a CSV download) is the only
+// place those passwords appear.
+//
+// Env: STUDENT_IMPORT_MAX_ROWS (default 500)
+
+const { photo, password, ...importRowSchema } = createStudentSchema;
+
+export const IMPORT_FIELDS = Object.keys(importRowSchema);
+
+export function maxImportRows(env = process.env) {
+  return Number(env.STUDENT_IMPORT_MAX_ROWS) || 500;
+}
+
+// Columns read from a file. Columns that match no field are ignored, but a
+// student sheet has no reason to reach past column CV.
+const MAX_IMPORT_COLUMNS = 100;
+
+// Normalised header -> field, besides the field names themselves
+const HEADER_ALIASES = {
+  full_name: 'name',
+  student_name: 'name',
+  names: 'name',
+  reg_no: 'registration_number',
+  reg_number: 'registration_number',
+  regno: 'registration_number',
+  registration_no: 'registration_number',
+  admission_number: 'registration_number',
+  adm_no: 'registration_number',
+  programme: 'course',
+  program: 'course',
+  level: 'level_of_study',
+  study_level: 'level_of_study',
+  id_number: 'national_id',
+  id_no: 'national_id',
+  national_id_number: 'national_id',
+  birth_cert: 'birth_certificate',
+  birth_certificate_number: 'birth_certificate',
+  birth_certificate_no: 'birth_certificate',
+  dob: 'date_of_birth',
+  birth_date: 'date_of_birth',
+  email_address: 'email'
+};
+
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Column index -> field for a header row. `mapping` (header -> field) wins
+// over the automatic matching.
+export function resolveColumns(headers, mapping = {}) {
+  const explicit = new Map(Object.entries(mapping).map(([header, field]) => [normalizeHeader(header), field]));
+  const columns = new Map();
+  const problems = [];
+
+  for (const [header, field] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      problems.push({ field: 'mapping', message: `"${header}" maps to unknown field "${field}"` });
+    } else if (!headers.some((name) => normalizeHeader(name) === normalizeHeader(header))) {
+      problems.push({ field: 'mapping', message: `column "${header}" is not in the file` });
+    }
+  }
+
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    const field = explicit.get(key) || (IMPORT_FIELDS.includes(key) ? key : HEADER_ALIASES[key]);
+    if (!field || !IMPORT_FIELDS.includes(field)) return;
+    if ([...columns.values()].includes(field)) {
+      problems.push({ field: 'file', message: `more than one column maps to ${field}` });
+      return;
+    }
+    columns.set(index, field);
+  });
+
+  for (const [field, rule] of Object.entries(importRowSchema)) {
+    if (rule.required && ![...columns.values()].includes(field)) {
+      problems.push({ field: 'file', message: `no column for ${field}` });
+    }
+  }
+  return { columns, problems };
+}
+
+// Spreadsheet dates: Excel serial day numbers and DD/MM/YYYY become YYYY-MM-DD
+export function normalizeDate(value) {
+  const text = String(value).trim();
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    // Day 25569 is 1970-01-01 in Excel's 1900 date system
+    const date = new Date(Math.round((Number(text) - 25569) * 86400 * 1000));
+    return date.toISOString().split('T')[0];
+  }
+  const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+  if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  return text;
+}
+
+function addError(row, field, message) {
+  row.errors.push({ field, message });
+  row.status = 'invalid';
+}
+
+// Check every data row; returns one report entry per non-blank row
+export function validateRows(rows, columns) {
+  const report = [];
+  const seen = { registration_number: new Map(), national_id: new Map(), email: new Map() };
+
+  rows.forEach((cells, index) => {
+    if (cells.every((cell) => String(cell).trim() === '')) return;
+
+    const input = {};
+    for (const [column, field] of columns) input[field] = cells[column] ?? '';
+    if (input.date_of_birth) input.date_of_birth = normalizeDate(input.date_of_birth);
+
+    const { value, errors } = parseSchema(importRowSchema, input);
+    const row = {
+      row: index + 2, // 1-based, after the header row
+      registration_number: value.registration_number ?? (String(input.registration_number || '').trim() || null),
+      name: value.name ?? null,
+      status: 'valid',
+      errors: [],
+      value
+    };
+    errors.forEach(({ field, message }) => addError(row, field, message));
+
+    if (!value.national_id && !value.birth_certificate && !errors.some((e) => ['national_id', 'birth_certificate'].includes(e.field))) {
+      addError(row, 'national_id', 'national_id or birth_certificate is required');
+    }
+
+    for (const field of Object.keys(seen)) {
+      if (!value[field]) continue;
+      const key = field === 'email' ? value[field].toLowerCase() : value[field];
+      if (seen[field].has(key)) {
+        addError(row, field, `duplicates row ${seen[field].get(key)}`);
+      } else {
+        seen[field].set(key, row.row);
+      }
+    }
+    report.push(row);
+  });
+  return report;
+}
+
+// Flag rows that clash with students already in the database. Registration
+// numbers of soft-deleted students stay taken.
+export async function checkExisting(report, { db = pool } = {}) {
+  const values = (field) => report.map((row) => row.value[field]).filter(Boolean);
+
+  const [{ rows: byRegistration }, { rows: byNationalId }, { rows: byEmail }] = await Promise.all([
+    db.query('SELECT registration_number FROM students WHERE registration_number = ANY($1::text[])', [values('registration_number')]),
+    db.query('SELECT national_id FROM students WHERE national_id = ANY($1::text[]) AND deleted_at IS NULL', [values('national_id')]),
+    db.query(
+      'SELECT lower(email) AS email FROM students WHERE lower(email) = ANY($1::text[]) AND deleted_at IS NULL',
+      [values('email').map((email) => email.toLowerCase())]
+    )
+  ]);
+
+  const taken = {
+    registration_number: new Set(byRegistration.map((r) => r.registration_number)),
+    national_id: new Set(byNationalId.map((r) => r.national_id)),
+    email: new Set(byEmail.map((r) => r.email))
+  };
+
+  for (const row of report) {
+    for (const [field, existing] of Object.entries(taken)) {
+      const value = field === 'email' ? row.value.email?.toLowerCase() : row.value[field];
+      if (value && existing.has(value)) addError(row, field, 'already belongs to an existing student');
+    }
+  }
+  return report;
+}
+
+// Insert every row in one transaction; all rows must be valid
+export async function commitRows(report) {
+  const passwords = report.map(() => generateTemporaryPassword());
+  const hashes = [];
+  for (const temporaryPassword of passwords) {
+    hashes.push(await bcrypt.hash(temporaryPassword, TEMPORARY_PASSWORD_ROUNDS));
+  }
+
+  const records = report.map((row, index) => ({
+    name: row.value.name,
+    registration_number: row.value.registration_number,
+    course: row.value.course,
+    level_of_study: row.value.level_of_study,
+    national_id: row.value.national_id ?? null,
+    birth_certificate: row.value.birth_certificate ?? null,
+    date_of_birth: row.value.date_of_birth ?? null,
+    email: row.value.email ?? null,
+    password: hashes[index],
+    status: 'active',
+    must_change_password: true
+  }));
+
+  let created;
+  try {
+    created = await sql.begin(async (txSql) => txSql`
+      INSERT INTO students ${txSql(records)}
+      RETURNING id, registration_number
+    `);
+  } catch (error) {
+    // A student with one of these numbers was created since the check
+    if (error.code === '23505') throw new ConflictError('Import conflicts with an existing student', error.detail);
+    throw error;
+  }
+
+  const ids = new Map(created.map((student) => [student.registration_number, student.id]));
+  report.forEach((row, index) => {
+    row.status = 'created';
+    row.student_id = ids.get(row.value.registration_number);
+    row.temp_password = passwords[index];
+  });
+  return report;
+}
+
+function summarize(report, dryRun) {
+  const count = (status) => report.filter((row) => row.status === status).length;
+  return {
+    dry_run: dryRun,
+    total: report.length,
+    valid: count('valid') + count('created'),
+    invalid: count('invalid'),
+    created: count('created')
+  };
+}
+
+// Read, validate and (unless dryRun) import a spreadsheet. Problems with the
+// file itself throw ValidationError; row problems are reported per row.
+export async function importStudents(file, { mapping, dryRun = true, db = pool } = {}) {
+  const limit = maxImportRows();
+  let sheet;
+  try {
+    // One header row, then at most `limit` students
+    sheet = await readSpreadsheet(file, { maxRows: limit + 1, maxColumns: MAX_IMPORT_COLUMNS });
+  } catch (error) {
+    if (error instanceof SpreadsheetError) throw new ValidationError('Unreadable spreadsheet', error.message);
+    throw error;
+  }
+
+  const [headers = [], ...rows] = sheet;
+  const { columns, problems } = resolveColumns(headers, mapping);
+  if (problems.length > 0) throw new ValidationError('File columns do not match student fields', problems);
+
+  let report = validateRows(rows, columns);
+  if (report.length === 0) throw new ValidationError('File has no student rows');
+  if (report.length > limit) {
+    throw new ValidationError('Too many rows', `Import at most ${limit} students per file`);
+  }
+
+  report = await checkExisting(report, { db });
+  if (!dryRun && report.every((row) => row.status === 'valid')) {
+    await commitRows(report);
+  }
+
+  return {
+    summary: summarize(report, dryRun),
+    rows: report.map(({ value, ...row }) => row)
+  };
+}
+
+// Per-row result file
+export function importResultsCsv({ rows }) {
+  return toCsv([
+    ['row', 'registration_number', 'name', 'status', 'errors', 'student_id', 'temp_password'],
+    ...rows.map((row) => [
+      row.row,
+      row.registration_number,
+      row.name,
+      row.status,
+      row.errors.map(({ field, message }) => `${field}: ${message}`).join('; '),
+      row.student_id,
+      row.temp_password
+    ])
+  ]);
+}
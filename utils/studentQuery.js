@@ -0,0 +1,247 @@
+import { pool } from '../db.js';
+import { string, integer, date, list } from './validation.js';
+import { intakeYearSqlPattern } from './registrationNumbers.js';
+
+// Listing and searching students (GET /students).
+//
+//   ?q=        search name, registration number, email and national ID; names
+//              also match on word similarity (pg_trgm), so "jon otieno"
+//              finds "John Otieno"
+//   ?course= ?level_of_study= ?status=active,on_leave ?intake_year=2024
+//   ?leave_start_from= ?leave_start_to= ?leave_end_from= ?leave_end_to=
+//   ?sort=name | -registration_number     (`-` sorts descending)
+//   ?fields=id,name,registration_number   (never includes password)
+//   ?limit=50 with ?offset=100 or ?cursor=<from the Link header>
+//
+// The response body stays a plain array. X-Total-Count carries the number of
+// matching students and a Link header with rel="next" points at the next page.
+// Cursors are keyset positions (sort value + id), so pages stay stable while
+// students are added; offsets are kept for clients that jump to a page.
+
+// Every student column except the password hash (and deleted_at: soft-deleted
+// students are never listed)
+export const STUDENT_COLUMNS = [
+  'id',
+  'registration_number',
+  'name',
+  'course',
+  'level_of_study',
+  'photo_url',
+  'national_id',
+  'birth_certificate',
+  'date_of_birth',
+  'must_change_password',
+  'email',
+  'phone',
+  'address',
+  'next_of_kin_name',
+  'next_of_kin_phone',
+  'next_of_kin_relationship',
+  'status',
+  'academic_leave',
+  'academic_leave_start',
+  'academic_leave_end',
+  'academic_leave_reason',
+  'deregistered',
+  'deregistration_date',
+  'deregistration_reason',
+  'graduation_date',
+  'award',
+  'award_classification',
+  'version',
+  'updated_at'
+];
+
+export const STUDENT_SELECT = STUDENT_COLUMNS.join(', ');
+
+export const SORTABLE_COLUMNS = [
+  'name',
+  'registration_number',
+  'course',
+  'level_of_study',
+  'status',
+  'email',
+  'date_of_birth',
+  'academic_leave_start',
+  'academic_leave_end',
+  'deregistration_date',
+  'graduation_date',
+  'updated_at'
+];
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SORT_PATTERN = new RegExp(`^-?(?:${SORTABLE_COLUMNS.join('|')})$`);
+
+// Filters shared by the listing and the exports (utils/exports.js)
+export const studentFilterSchema = {
+  q: string({ max: 100, aliases: ['search'] }),
+  course: string({ max: 255 }),
+  level_of_study: string({ max: 100, aliases: ['level'] }),
+  status: list(string({ max: 50 }), { max: 10 }),
+  intake_year: integer({ min: 1900, max: 2999 }),
+  leave_start_from: date(),
+  leave_start_to: date(),
+  leave_end_from: date(),
+  leave_end_to: date()
+};
+
+export function studentFilterCheck(value) {
+  const errors = [];
+  if (value.intake_year !== undefined && !intakeYearSqlPattern(value.intake_year)) {
+    errors.push({ field: 'intake_year', message: 'registration numbers in this format do not include a year' });
+  }
+  for (const [from, to] of [['leave_start_from', 'leave_start_to'], ['leave_end_from', 'leave_end_to']]) {
+    if (value[from] && value[to] && value[to] < value[from]) {
+      errors.push({ field: to, message: `must not be before ${from}` });
+    }
+  }
+  return errors;
+}
+
+export const studentListQuerySchema = {
+  ...studentFilterSchema,
+  sort: string({
+    pattern: SORT_PATTERN,
+    message: `must be one of: ${SORTABLE_COLUMNS.join(', ')} (prefix with - for descending)`,
+    default: 'name'
+  }),
+  fields: list(string({ oneOf: STUDENT_COLUMNS })),
+  limit: integer({ min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT }),
+  offset: integer({ min: 0 }),
+  cursor: string({ max: 500 })
+};
+
+export function encodeCursor(sort, sortKey, id) {
+  return Buffer.from(JSON.stringify([sort, sortKey, id])).toString('base64url');
+}
+
+// [sort, sortKey, id], or null for a cursor this module did not issue
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 3 && decoded.every((part) => typeof part === 'string') &&
+        UUID_PATTERN.test(decoded[2])) {
+      return decoded;
+    }
+  } catch (e) {
+    // fall through
+  }
+  return null;
+}
+
+export function studentListQueryCheck(value) {
+  const errors = studentFilterCheck(value);
+  if (value.cursor !== undefined) {
+    const decoded = decodeCursor(value.cursor);
+    if (!decoded) {
+      errors.push({ field: 'cursor', message: 'is not a valid cursor' });
+    } else if (decoded[0] !== value.sort) {
+      errors.push({ field: 'cursor', message: 'belongs to a different sort order' });
+    }
+    if (value.offset !== undefined) {
+      errors.push({ field: 'offset', message: 'cannot be combined with cursor' });
+    }
+  }
+  return errors;
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+// WHERE conditions and parameters for the filters in a validated query.
+// `alias` qualifies the student columns when the students table is joined.
+export function studentFilters(query, { alias } = {}) {
+  const params = [];
+  const conditions = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+
+  conditions.push(`${col('deleted_at')} IS NULL`);
+
+  if (query.q) {
+    const term = param(query.q);
+    const like = param(`%${escapeLike(query.q)}%`);
+    conditions.push(
+      `(${col('name')} ILIKE ${like} OR ${col('registration_number')} ILIKE ${like} OR ${col('email')} ILIKE ${like}` +
+      ` OR ${col('national_id')} ILIKE ${like} OR ${term} <% ${col('name')})`
+    );
+  }
+  if (query.course) conditions.push(`${col('course')} ILIKE ${param(escapeLike(query.course))}`);
+  if (query.level_of_study) conditions.push(`${col('level_of_study')} ILIKE ${param(escapeLike(query.level_of_study))}`);
+  if (query.status?.length) conditions.push(`${col('status')} = ANY(${param(query.status)}::text[])`);
+  if (query.intake_year !== undefined) {
+    conditions.push(`${col('registration_number')} ~ ${param(intakeYearSqlPattern(query.intake_year))}`);
+  }
+  if (query.leave_start_from) conditions.push(`${col('academic_leave_start')} >= ${param(query.leave_start_from)}::date`);
+  if (query.leave_start_to) conditions.push(`${col('academic_leave_start')} <= ${param(query.leave_start_to)}::date`);
+  if (query.leave_end_from) conditions.push(`${col('academic_leave_end')} >= ${param(query.leave_end_from)}::date`);
+  if (query.leave_end_to) conditions.push(`${col('academic_leave_end')} <= ${param(query.leave_end_to)}::date`);
+
+  return { conditions, params, param };
+}
+
+// One page of students for a query validated with studentListQuerySchema.
+// Returns { rows, total, nextCursor, nextOffset }; one of the last two is set
+// when there is another page.
+export async function listStudents(query, { db = pool } = {}) {
+  const descending = query.sort.startsWith('-');
+  const column = descending ? query.sort.slice(1) : query.sort;
+  const direction = descending ? 'DESC' : 'ASC';
+  // Text keys with NULLs folded to '' keep ORDER BY and the cursor comparison
+  // in agreement; ISO dates sort correctly as text
+  const sortKey = `COALESCE(${column}::text, '')`;
+  const fields = query.fields?.length ? query.fields : STUDENT_COLUMNS;
+
+  const { conditions, params, param } = studentFilters(query);
+  const filterWhere = ` WHERE ${conditions.join(' AND ')}`;
+  const countParams = [...params];
+
+  if (query.cursor) {
+    const [, key, id] = decodeCursor(query.cursor);
+    conditions.push(`(${sortKey}, id) ${descending ? '<' : '>'} (${param(key)}, ${param(id)}::uuid)`);
+  }
+  const pageWhere = ` WHERE ${conditions.join(' AND ')}`;
+  const offset = query.offset || 0;
+
+  const [{ rows }, { rows: countRows }] = await Promise.all([
+    db.query(
+      `SELECT ${fields.join(', ')}, ${sortKey} AS _sort_key, id AS _cursor_id
+       FROM students${pageWhere}
+       ORDER BY ${sortKey} ${direction}, id ${direction}
+       LIMIT ${param(query.limit + 1)} OFFSET ${param(offset)}`,
+      params
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM students${filterWhere}`, countParams)
+  ]);
+
+  const hasMore = rows.length > query.limit;
+  const page = rows.slice(0, query.limit);
+  const last = page[page.length - 1];
+
+  return {
+    rows: page.map(({ _sort_key, _cursor_id, ...row }) => row),
+    total: countRows[0].total,
+    nextCursor: hasMore && query.offset === undefined ? encodeCursor(query.sort, last._sort_key, last._cursor_id) : null,
+    nextOffset: hasMore && query.offset !== undefined ? offset + query.limit : null
+  };
+}
+
+// Link header value for the next page, relative to the current request URL
+export function nextPageLink(requestUrl, { nextCursor, nextOffset }) {
+  if (!nextCursor && nextOffset === null) return null;
+
+  const url = new URL(requestUrl);
+  if (nextCursor) {
+    url.searchParams.set('cursor', nextCursor);
+  } else {
+    url.searchParams.set('offset', String(nextOffset));
+  }
+  return `<${url.pathname}${url.search}>; rel="next"`;
+}
@@ -0,0 +1,168 @@
+import { pool, sql } from '../db.js';
+import { AppError, NotFoundError } from './errors.js';
+import { STUDENT_COLUMNS } from './studentQuery.js';
+
+// Student lifecycle. Every status change goes through changeStudentStatus(),
+// which checks it against STATUS_TRANSITIONS, keeps the older
+// academic_leave/deregistered columns in step and writes a
+// student_status_history row, all in one transaction.
+//
+//   applicant -> active
+//   active    -> on_leave | deregistered | suspended | graduated | deceased
+//   on_leave  -> active (leave ends) | on_leave (new dates) | deregistered | deceased
+//   deregistered -> active (restored) | deceased
+//   suspended -> active | deregistered | deceased
+//   graduated -> deceased
+//
+// Each history row holds the old and new status, the reason, who made the
+// change and the period it covers: effective_from, and effective_to for a
+// planned leave end. The next change closes the period of the one before.
+
+export const STUDENT_STATUSES = ['applicant', 'active', 'on_leave', 'deregistered', 'suspended', 'graduated', 'deceased'];
+
+export const STATUS_TRANSITIONS = {
+  applicant: ['active', 'deregistered'],
+  active: ['on_leave', 'deregistered', 'suspended', 'graduated', 'deceased'],
+  on_leave: ['active', 'on_leave', 'deregistered', 'deceased'],
+  deregistered: ['active', 'deceased'],
+  suspended: ['active', 'deregistered', 'deceased'],
+  graduated: ['deceased'],
+  deceased: []
+};
+
+// Students in these statuses are logged out and cannot refresh a session
+export const LOCKED_OUT_STATUSES = ['deregistered', 'deceased'];
+
+// Students in these statuses can log in but only read their records
+export const READ_ONLY_STATUSES = ['graduated'];
+
+// `onlyFrom` is set when the route, not the lifecycle, ruled the change out
+export class StatusTransitionError extends AppError {
+  constructor(from, to, onlyFrom) {
+    super(
+      onlyFrom
+        ? `This change only applies to ${onlyFrom.join(' or ')} students, not ${from}`
+        : `Cannot change a student's status from ${from} to ${to}`,
+      {
+        status: 409,
+        code: 'INVALID_STATUS_TRANSITION',
+        details: onlyFrom ? { from, to, only_from: onlyFrom } : { from, to, allowed: STATUS_TRANSITIONS[from] || [] }
+      }
+    );
+  }
+}
+
+export function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// Student columns written alongside `status`
+function statusColumns(from, to, { reason, effectiveFrom, effectiveTo }) {
+  const columns = { status: to };
+  if (from === 'on_leave' && to !== 'on_leave') {
+    Object.assign(columns, {
+      academic_leave: false,
+      academic_leave_start: null,
+      academic_leave_end: null,
+      academic_leave_reason: null
+    });
+  }
+  if (from === 'deregistered' && to !== 'deregistered') {
+    Object.assign(columns, { deregistered: false, deregistration_date: null, deregistration_reason: null });
+  }
+  if (to === 'on_leave') {
+    Object.assign(columns, {
+      academic_leave: true,
+      academic_leave_start: effectiveFrom,
+      academic_leave_end: effectiveTo,
+      academic_leave_reason: reason
+    });
+  }
+  if (to === 'deregistered') {
+    Object.assign(columns, { deregistered: true, deregistration_date: effectiveFrom, deregistration_reason: reason });
+  }
+  if (to === 'graduated') {
+    columns.graduation_date = effectiveFrom;
+  }
+  return columns;
+}
+
+// Move one student (`{ id }` or `{ registrationNumber }`) to status `to`.
+// `from` limits the statuses it may leave (restore only applies to
+// deregistered students, although suspended ones can also become active).
+// `actor` is { actor_type, actor_id, actor_name } as in the audit log;
+// `columns` are other student columns to set with the change (the award at
+// graduation). Returns { from, student }; throws NotFoundError or StatusTransitionError.
+// `db` may be a transaction from sql.begin(), which the change then joins.
+export async function changeStudentStatus(target, to, {
+  reason = null,
+  effectiveFrom = today(),
+  effectiveTo = null,
+  from,
+  actor = {},
+  columns = {},
+  db = sql
+} = {}) {
+  const transaction = db.begin || db.savepoint;
+  return transaction(async (txSql) => {
+    const match = target.id
+      ? txSql`id = ${target.id}`
+      : txSql`registration_number = ${target.registrationNumber}`;
+
+    const [current] = await txSql`
+      SELECT id, status FROM students
+      WHERE ${match} AND deleted_at IS NULL
+      FOR UPDATE
+    `;
+    if (!current) throw new NotFoundError('Student not found');
+    if (!canTransition(current.status, to)) throw new StatusTransitionError(current.status, to);
+    if (from && !from.includes(current.status)) throw new StatusTransitionError(current.status, to, from);
+
+    const changes = { ...columns, ...statusColumns(current.status, to, { reason, effectiveFrom, effectiveTo }) };
+    const [student] = await txSql`
+      UPDATE students SET ${txSql(changes, Object.keys(changes))}
+      WHERE id = ${current.id}
+      RETURNING ${txSql(STUDENT_COLUMNS)}
+    `;
+
+    // Close the period of the previous status
+    await txSql`
+      UPDATE student_status_history SET effective_to = ${effectiveFrom}
+      WHERE id = (
+        SELECT id FROM student_status_history WHERE student_id = ${current.id}
+        ORDER BY created_at DESC LIMIT 1
+      ) AND (effective_to IS NULL OR effective_to > ${effectiveFrom})
+    `;
+    await txSql`
+      INSERT INTO student_status_history ${txSql({
+        student_id: current.id,
+        from_status: current.status,
+        to_status: to,
+        reason: reason || null,
+        effective_from: effectiveFrom,
+        effective_to: effectiveTo,
+        actor_type: actor.actor_type || null,
+        actor_id: actor.actor_id || null,
+        actor_name: actor.actor_name || null
+      })}
+    `;
+
+    return { from: current.status, student };
+  });
+}
+
+// Status changes of one student, newest first
+export async function statusHistory(studentId, { db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT id, from_status, to_status, reason, effective_from::text AS effective_from,
+       effective_to::text AS effective_to, actor_type, actor_id, actor_name, created_at
+     FROM student_status_history WHERE student_id = $1
+     ORDER BY created_at DESC, id`,
+    [studentId]
+  );
+  return rows;
+}
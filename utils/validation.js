@@ -0,0 +1,280 @@
+import { validator } from 'hono/validator';
+import { errorBody } from './errors.js';
+import { isValidRegistrationNumber, registrationNumberFormat } from './registrationNumbers.js';
+
+// Declarative request body schemas on top of hono/validator.
+//
+// A schema maps each accepted field to a rule built with the helpers below:
+//
+//   const unitSchema = {
+//     unit_name: string({ required: true, max: 255 }),
+//     unit_code: string({ required: true, max: 50 })
+//   };
+//   app.post('/units', validateBody(unitSchema), async (c) => {
+//     const { unit_name, unit_code } = c.req.valid('json');
+//   });
+//
+// Rules coerce what they accept (dates become YYYY-MM-DD, semesters become
+// 1 or 2, numeric strings become integers) and fields the schema does not
+// declare are dropped. Older field names stay accepted through `aliases`.
+// Empty strings and null count as missing, then `default` applies.
+//
+// Any failure answers 422 with one entry per field:
+//   { error: 'Validation failed', code: 'VALIDATION_ERROR',
+//     details: [{ field: 'end_date', message: 'must be a date (YYYY-MM-DD)' }] }
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{5,18}[0-9]$/;
+
+class FieldError extends Error {}
+
+function fail(message) {
+  throw new FieldError(message);
+}
+
+function rule(coerce, options = {}) {
+  return { coerce, required: false, aliases: [], ...options };
+}
+
+export function string({ min, max, pattern, message, oneOf, ...options } = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') fail('must be a string');
+    const text = String(value).trim();
+    if (min !== undefined && text.length < min) fail(`must be at least ${min} characters`);
+    if (max !== undefined && text.length > max) fail(`must be at most ${max} characters`);
+    if (pattern && !pattern.test(text)) fail(message || 'has an invalid format');
+    if (oneOf && !oneOf.includes(text)) fail(`must be one of: ${oneOf.join(', ')}`);
+    return text;
+  }, options);
+}
+
+// Passwords are taken exactly as sent: no trimming, no length cap
+export function password(options = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string') fail('must be a string');
+    return value;
+  }, options);
+}
+
+export function uuid(options = {}) {
+  return string({ pattern: UUID_PATTERN, message: 'must be a valid id', ...options });
+}
+
+export function email(options = {}) {
+  return string({ max: 255, pattern: EMAIL_PATTERN, message: 'must be a valid email address', ...options });
+}
+
+export function phone(options = {}) {
+  return string({ pattern: PHONE_PATTERN, message: 'must be a phone number such as +254712345678', ...options });
+}
+
+export function url(options = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string') fail('must be a URL');
+    try {
+      const parsed = new URL(value.trim());
+      if (!['http:', 'https:'].includes(parsed.protocol)) fail('must be an http(s) URL');
+    } catch (error) {
+      if (error instanceof FieldError) throw error;
+      fail('must be a URL');
+    }
+    return value.trim();
+  }, options);
+}
+
+// Registration number in the configured format (see utils/registrationNumbers.js)
+export function registrationNumber(options = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string' || value.trim().length > 50 || !isValidRegistrationNumber(value)) {
+      fail(`must be a registration number such as ${registrationNumberFormat().example}`);
+    }
+    return value.trim();
+  }, options);
+}
+
+export function integer({ min, max, ...options } = {}) {
+  return rule((value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number)) fail('must be a whole number');
+    if (min !== undefined && number < min) fail(`must be at least ${min}`);
+    if (max !== undefined && number > max) fail(`must be at most ${max}`);
+    return number;
+  }, options);
+}
+
+export function boolean(options = {}) {
+  return rule((value) => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === '1' || value === 1) return true;
+    if (value === 'false' || value === '0' || value === 0) return false;
+    fail('must be true or false');
+  }, options);
+}
+
+// Calendar date, returned as YYYY-MM-DD
+export function date(options = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string' && !(value instanceof Date)) fail('must be a date (YYYY-MM-DD)');
+    const parsed = value instanceof Date ? value : new Date(value.trim());
+    if (Number.isNaN(parsed.getTime())) fail('must be a date (YYYY-MM-DD)');
+
+    const day = parsed.toISOString().split('T')[0];
+    // Date rolls 2024-02-30 over to March; reject it instead
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) && day !== value.trim()) {
+      fail('must be a valid calendar date');
+    }
+    return day;
+  }, options);
+}
+
+// Semester 1 or 2; accepts 2, "2", "Semester 2" and "sem 2"
+export function semester(options = {}) {
+  return rule((value) => {
+    const match = /^(?:sem(?:ester)?\s*)?([12])$/i.exec(String(value).trim());
+    if (!match) fail('must be semester 1 or 2');
+    return Number(match[1]);
+  }, options);
+}
+
+// Academic year such as 2024/2025; "2024-2025" is normalised
+export function academicYear(options = {}) {
+  return rule((value) => {
+    const match = /^(\d{4})\s*[/-]\s*(\d{4})$/.exec(String(value).trim());
+    if (!match || Number(match[2]) !== Number(match[1]) + 1) {
+      fail('must be an academic year such as 2024/2025');
+    }
+    return `${match[1]}/${match[2]}`;
+  }, options);
+}
+
+function coerceItems(item, values) {
+  return values.map((element, index) => {
+    try {
+      return item.coerce(element);
+    } catch (error) {
+      if (error instanceof FieldError) fail(`item ${index + 1} ${error.message}`);
+      throw error;
+    }
+  });
+}
+
+export function array(item, { min, max, ...options } = {}) {
+  return rule((value) => {
+    if (!Array.isArray(value)) fail('must be a list');
+    if (min !== undefined && value.length < min) fail(`must contain at least ${min} item${min === 1 ? '' : 's'}`);
+    if (max !== undefined && value.length > max) fail(`must contain at most ${max} items`);
+    return coerceItems(item, value);
+  }, options);
+}
+
+// Query string list: `?status=active,on_leave` or `?status=active&status=on_leave`
+export function list(item, { max, ...options } = {}) {
+  return rule((value) => {
+    const values = (Array.isArray(value) ? value : [value])
+      .flatMap((entry) => String(entry).split(','))
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (max !== undefined && values.length > max) fail(`must contain at most ${max} items`);
+    return coerceItems(item, values);
+  }, options);
+}
+
+// JSON-encoded object, for structured values sent as multipart form fields
+export function json(options = {}) {
+  return rule((value) => {
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch (e) {
+        fail('must be valid JSON');
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) fail('must be a JSON object');
+    return parsed;
+  }, options);
+}
+
+// Uploaded file from a multipart form
+export function file({ types, maxBytes, ...options } = {}) {
+  return rule((value) => {
+    if (!(value instanceof File)) fail('must be a file');
+    if (value.size === 0) fail('must not be empty');
+    if (types && !types.includes(value.type)) fail(`must be one of: ${types.join(', ')}`);
+    if (maxBytes && value.size > maxBytes) fail(`must be smaller than ${Math.round(maxBytes / 1024 / 1024)}MB`);
+    return value;
+  }, options);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Check `input` against `schema`; returns { value, errors }
+export function parseSchema(schema, input = {}) {
+  const value = {};
+  const errors = [];
+
+  for (const [field, fieldRule] of Object.entries(schema)) {
+    const source = [field, ...fieldRule.aliases].find((name) => !isMissing(input[name]));
+    if (source === undefined) {
+      if (fieldRule.required) {
+        errors.push({ field, message: 'is required' });
+      } else if (fieldRule.default !== undefined) {
+        value[field] = typeof fieldRule.default === 'function' ? fieldRule.default() : fieldRule.default;
+      }
+      continue;
+    }
+
+    try {
+      value[field] = fieldRule.coerce(input[source]);
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error;
+      errors.push({ field, message: error.message });
+    }
+  }
+
+  return { value, errors };
+}
+
+// Middleware validating the `json` or `form` body (or the `query` string);
+// handlers read the result with c.req.valid(target). `check(value)` adds cross-field errors.
+export function validateBody(schema, { target = 'json', check } = {}) {
+  return validator(target, (input, c) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return c.json(errorBody(c, 422, {
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: [{ field: 'body', message: 'must be an object' }]
+      }), 422);
+    }
+
+    const { value, errors } = parseSchema(schema, input);
+    if (errors.length === 0 && check) {
+      errors.push(...check(value));
+    }
+
+    if (errors.length > 0) {
+      return c.json(errorBody(c, 422, {
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors
+      }), 422);
+    }
+    return value;
+  });
+}
+
+// Same as validateBody, for routes that take either JSON or a multipart form
+export function validateJsonOrForm(schema, options) {
+  const json = validateBody(schema, { ...options, target: 'json' });
+  const form = validateBody(schema, { ...options, target: 'form' });
+
+  return (c, next) => (isFormRequest(c) ? form(c, next) : json(c, next));
+}
+
+export function isFormRequest(c) {
+  const contentType = c.req.header('content-type') || '';
+  return contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded');
+}
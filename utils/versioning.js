@@ -0,0 +1,41 @@
+import { errorBody } from './errors.js';
+
+// Optimistic concurrency for rows with an integer `version` column (students).
+//
+// Reads return the version as an ETag ("3"). Writes send it back in If-Match
+// (or a `version` body field for clients that cannot set headers); a database
+// trigger bumps the version on every update, so a write made from a stale copy
+// fails with 412 instead of silently overwriting someone else's change.
+
+export function etag(version) {
+  return `"${version}"`;
+}
+
+// Version named by an If-Match header: "3", W/"3" or 3
+export function versionFromIfMatch(header) {
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(String(header).trim());
+  return match ? Number(match[1]) : null;
+}
+
+// Version the client based its change on; If-Match wins over the body field
+export function expectedVersion(c, bodyVersion) {
+  const ifMatch = c.req.header('if-match');
+  if (ifMatch !== undefined && ifMatch.trim() !== '*') return versionFromIfMatch(ifMatch);
+  return bodyVersion ?? null;
+}
+
+export function versionRequired(c) {
+  return c.json(errorBody(c, 428, {
+    error: 'Version required',
+    details: 'Send the current version in an If-Match header or a `version` field'
+  }), 428);
+}
+
+export function staleVersion(c, currentVersion) {
+  c.header('ETag', etag(currentVersion));
+  return c.json(errorBody(c, 412, {
+    error: 'Record was changed by someone else',
+    code: 'VERSION_CONFLICT',
+    details: { current_version: currentVersion }
+  }), 412);
+}